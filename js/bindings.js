@@ -0,0 +1,264 @@
+/**
+ * bindings.js — Keyboard shortcuts, foot pedals and gamepad buttons.
+ *
+ * Any key or gamepad button can be bound to an action (start / stop, BPM
+ * ±1 / ±5, tap tempo, next / previous preset, next subdivision, mute).
+ * Bluetooth page-turner pedals are keyboards sending PageUp / PageDown or
+ * arrow keys, so they bind like any other key; the profiles set them up in
+ * one go. "Learn" binds whatever is pressed next. Keys are stored by
+ * KeyboardEvent#code, so bindings don't move with the keyboard layout, and
+ * gamepad buttons as "pad:<index>" (any connected gamepad).
+ *
+ * F and J are left to the tap-along game (tap-game.js).
+ *
+ * Call initBindings(metronome, ui, presets) from main.js after initPresets(),
+ * passing what initUI() and initPresets() return.
+ */
+
+function initBindings(metronome, ui, presets) {
+  const RESERVED = ['KeyF', 'KeyJ']; // the tap-along game's keys
+
+  // Space, ↑ / ↓ and T are the long-standing shortcuts
+  const DEFAULT_BINDINGS = {
+    'Space':      'startStop',
+    'ArrowUp':    'bpmUp',
+    'ArrowDown':  'bpmDown',
+    'ArrowRight': 'bpmUp5',
+    'ArrowLeft':  'bpmDown5',
+    'KeyT':       'tap',
+    'KeyN':       'nextPreset',
+    'KeyP':       'previousPreset',
+    'KeyS':       'subdivision',
+    'KeyM':       'mute',
+    'pad:0':      'startStop',      // A / cross
+    'pad:1':      'tap',            // B / circle
+    'pad:12':     'bpmUp',          // d-pad
+    'pad:13':     'bpmDown',
+    'pad:14':     'previousPreset',
+    'pad:15':     'nextPreset',
+  };
+
+  // Pedal profiles go on top of the defaults, so the keyboard keeps working
+  const PROFILES = [
+    { name: 'Keyboard (defaults)', bindings: {} },
+    { name: 'Page turner: start / stop, tap', bindings: { PageUp: 'startStop', PageDown: 'tap' } },
+    { name: 'Page turner: previous / next preset', bindings: { PageUp: 'previousPreset', PageDown: 'nextPreset' } },
+    { name: 'Page turner: BPM −5 / +5', bindings: { PageUp: 'bpmDown5', PageDown: 'bpmUp5' } },
+    { name: 'Arrow pedal (← / →): start / stop, tap', bindings: { ArrowLeft: 'startStop', ArrowRight: 'tap' } },
+    {
+      name:     'Four arrow pedals: start / stop, tap, BPM ±1',
+      bindings: { ArrowLeft: 'startStop', ArrowRight: 'tap', ArrowUp: 'bpmUp', ArrowDown: 'bpmDown' },
+    },
+  ];
+
+  const KEY_NAMES = {
+    Space: 'Space', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+    PageUp: 'Page Up', PageDown: 'Page Down', Enter: 'Enter', Backspace: 'Backspace', Tab: 'Tab',
+  };
+
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const startStopBtn  = document.getElementById('start-stop');
+  const tapTempoBtn   = document.getElementById('tap-tempo');
+  const subdivSelect  = document.getElementById('subdivision');
+  const profileSelect = document.getElementById('bindings-profile');
+  const profileBtn    = document.getElementById('bindings-apply');
+  const list          = document.getElementById('bindings-list');
+  const statusEl      = document.getElementById('bindings-status');
+
+  // `repeat` actions keep going while a key is held down
+  const ACTIONS = [
+    { id: 'startStop',      label: 'Start / stop',     run: () => startStopBtn.click() },
+    { id: 'bpmUp',          label: 'BPM +1',           run: () => ui.setBpm(metronome.bpm + 1), repeat: true },
+    { id: 'bpmDown',        label: 'BPM −1',           run: () => ui.setBpm(metronome.bpm - 1), repeat: true },
+    { id: 'bpmUp5',         label: 'BPM +5',           run: () => ui.setBpm(metronome.bpm + 5), repeat: true },
+    { id: 'bpmDown5',       label: 'BPM −5',           run: () => ui.setBpm(metronome.bpm - 5), repeat: true },
+    { id: 'tap',            label: 'Tap tempo',        run: () => tapTempoBtn.click() },
+    { id: 'nextPreset',     label: 'Next preset',      run: () => presets.next() },
+    { id: 'previousPreset', label: 'Previous preset',  run: () => presets.previous() },
+    { id: 'subdivision',    label: 'Next subdivision', run: nextSubdivision },
+    { id: 'mute',           label: 'Mute / unmute',    run: () => ui.toggleMute() },
+  ];
+  const actionById = new Map(ACTIONS.map(action => [action.id, action]));
+
+  let bindings = { ...DEFAULT_BINDINGS }; // input → action id
+  let learning = null;                    // action id waiting for an input
+  let padFrame = null;
+  let padsHeld = new Set();               // gamepad inputs down on the last poll
+
+  // ─── Helpers ───────────────────────────────────────────────────────────────
+
+  function save() {
+    localStorage.setItem('bindings', JSON.stringify(bindings));
+  }
+
+  function nextSubdivision() {
+    subdivSelect.selectedIndex = (subdivSelect.selectedIndex + 1) % subdivSelect.options.length;
+    subdivSelect.dispatchEvent(new Event('change'));
+  }
+
+  // KeyT → T, Digit4 → 4, pad:0 → Pad 1...; keys without a code are stored as key:<key>
+  function describe(input) {
+    if (input.startsWith('pad:')) return `Pad ${Number(input.slice(4)) + 1}`;
+    if (input.startsWith('key:')) return input.slice(4);
+    if (KEY_NAMES[input]) return KEY_NAMES[input];
+    const match = input.match(/^(?:Key|Digit)(.)$/);
+    if (match) return match[1];
+    return input.replace(/^Numpad/, 'Num ').replace(/([a-z])([A-Z])/g, '$1 $2');
+  }
+
+  function render() {
+    list.replaceChildren(...ACTIONS.map(action => {
+      const item = document.createElement('li');
+      item.dataset.id = action.id;
+
+      const label = document.createElement('span');
+      label.className = 'bindings-action';
+      label.textContent = action.label;
+
+      const inputs = Object.keys(bindings).filter(input => bindings[input] === action.id).map(input => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'btn-small binding-input';
+        chip.dataset.input = input;
+        chip.textContent = `${describe(input)} ×`;
+        chip.title = `Unbind ${describe(input)}`;
+        return chip;
+      });
+
+      const learnBtn = document.createElement('button');
+      learnBtn.type = 'button';
+      learnBtn.className = 'btn-small binding-learn';
+      learnBtn.textContent = learning === action.id ? 'Press…' : 'Learn';
+
+      item.append(label, ...inputs, learnBtn);
+      return item;
+    }));
+  }
+
+  function startLearning(id) {
+    learning = id;
+    statusEl.textContent = `Press a key, pedal or gamepad button for "${actionById.get(id).label}" — Esc cancels`;
+    render();
+  }
+
+  function stopLearning(message) {
+    learning = null;
+    statusEl.textContent = message;
+    render();
+  }
+
+  function learn(input) {
+    if (input === 'Escape') {
+      stopLearning('');
+      return;
+    }
+    if (RESERVED.includes(input)) {
+      statusEl.textContent = 'F and J are kept for the tap-along game — try another';
+      return;
+    }
+    const action = actionById.get(learning);
+    const previous = bindings[input];
+    bindings[input] = action.id;
+    save();
+    stopLearning(`${describe(input)} now does ${action.label}`
+      + (previous && previous !== action.id ? ` (no longer ${actionById.get(previous).label})` : ''));
+  }
+
+  function isTyping(target) {
+    return target.tagName === 'INPUT' || target.tagName === 'SELECT' || target.tagName === 'TEXTAREA'
+      || target.isContentEditable;
+  }
+
+  function pollPads() {
+    const held = new Set();
+    [...navigator.getGamepads()].filter(Boolean).forEach(pad => {
+      pad.buttons.forEach((button, index) => {
+        if (button.pressed) held.add(`pad:${index}`);
+      });
+    });
+    // Act on presses, not on buttons held down
+    held.forEach(input => {
+      if (padsHeld.has(input)) return;
+      if (learning) learn(input);
+      else if (actionById.has(bindings[input])) actionById.get(bindings[input]).run();
+    });
+    padsHeld = held;
+    padFrame = requestAnimationFrame(pollPads);
+  }
+
+  // ─── Events ────────────────────────────────────────────────────────────────
+
+  // Capture on window, ahead of everything else, so a key being learnt does
+  // nothing else (tap-game.js listens on document)
+  window.addEventListener('keydown', (e) => {
+    if (!learning || e.repeat) return;
+    e.preventDefault();
+    e.stopPropagation();
+    learn(e.code || `key:${e.key}`);
+  }, true);
+
+  document.addEventListener('keydown', (e) => {
+    // Ignore when user is typing in an input, and leave browser shortcuts alone
+    if (isTyping(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+    const action = actionById.get(bindings[e.code || `key:${e.key}`]);
+    if (!action) return;
+    e.preventDefault();
+    if (!e.repeat || action.repeat) action.run();
+  });
+
+  list.addEventListener('click', (e) => {
+    const chip = e.target.closest('.binding-input');
+    if (chip) {
+      delete bindings[chip.dataset.input];
+      save();
+      stopLearning(`${describe(chip.dataset.input)} unbound`);
+      return;
+    }
+    const learnBtn = e.target.closest('.binding-learn');
+    if (!learnBtn) return;
+    const id = learnBtn.closest('li').dataset.id;
+    if (learning === id) stopLearning('');
+    else startLearning(id);
+  });
+
+  profileBtn.addEventListener('click', () => {
+    const profile = PROFILES[Number(profileSelect.value)];
+    bindings = { ...DEFAULT_BINDINGS, ...profile.bindings };
+    save();
+    stopLearning(`Using "${profile.name}"`);
+  });
+
+  if (navigator.getGamepads) {
+    window.addEventListener('gamepadconnected', () => {
+      if (padFrame === null) padFrame = requestAnimationFrame(pollPads);
+    });
+    window.addEventListener('gamepaddisconnected', () => {
+      if ([...navigator.getGamepads()].some(Boolean)) return;
+      cancelAnimationFrame(padFrame);
+      padFrame = null;
+      padsHeld = new Set();
+    });
+  }
+
+  // ─── localStorage — restore saved state ────────────────────────────────────
+
+  profileSelect.replaceChildren(...PROFILES.map((profile, index) => {
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = profile.name;
+    return option;
+  }));
+
+  try {
+    const saved = JSON.parse(localStorage.getItem('bindings'));
+    if (saved && typeof saved === 'object') {
+      bindings = {};
+      Object.entries(saved).forEach(([input, id]) => {
+        if (actionById.has(id) && !RESERVED.includes(input)) bindings[input] = id;
+      });
+    }
+  } catch (e) {
+    console.warn('Ignoring invalid saved key bindings:', e);
+  }
+  render();
+}
@@ -0,0 +1,125 @@
+/**
+ * calibration.js — Measure and store the audio → eye latency.
+ *
+ * Output latency as reported by the browser is often wrong (Bluetooth
+ * headphones especially), so the flash can land before the click is
+ * heard. The user taps along to the click by ear; the median distance
+ * from each tap to the nearest click becomes the Metronome's visualOffset,
+ * which holds its visual events back by that much.
+ *
+ * Call initCalibration(metronome) from main.js after initUI(metronome).
+ */
+
+function initCalibration(metronome) {
+  const WARMUP_TAPS = 4;  // ignored while the user settles into the beat
+  const TAPS        = 16; // measured taps
+
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const offsetInput = document.getElementById('visual-offset');
+  const startBtn    = document.getElementById('calibrate-start');
+  const screen      = document.getElementById('calibrate-screen');
+  const tapBtn      = document.getElementById('calibrate-tap');
+  const cancelBtn   = document.getElementById('calibrate-cancel');
+  const statusEl    = document.getElementById('calibrate-status');
+
+  let calibrating  = false;
+  let startedHere  = false; // stop the metronome again when done
+  let lastBeat     = null;
+  let taps         = 0;
+  let offsets      = [];
+
+  // ─── Helpers ───────────────────────────────────────────────────────────────
+
+  function setOffset(seconds) {
+    metronome.visualOffset = seconds;
+    offsetInput.value = Math.round(metronome.visualOffset * 1000);
+    localStorage.setItem('visualOffset', metronome.visualOffset);
+  }
+
+  function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  async function begin() {
+    calibrating = true;
+    taps        = 0;
+    offsets     = [];
+    lastBeat    = null;
+    screen.hidden     = false;
+    startBtn.disabled = true;
+    statusEl.textContent = `0 / ${TAPS}`;
+
+    startedHere = !metronome.isRunning;
+    if (startedHere) {
+      await metronome.resume();
+      metronome.start();
+    }
+  }
+
+  function end() {
+    calibrating = false;
+    screen.hidden     = true;
+    startBtn.disabled = false;
+    if (startedHere) metronome.stop();
+    startedHere = false;
+  }
+
+  // Offset of a tap (performance.now() ms) from the nearest beat, in
+  // seconds, using the last beat event's time and length
+  function tapOffset(timeStamp) {
+    const tapTime = metronome.performanceToAudioTime(timeStamp);
+    const beats   = Math.round((tapTime - lastBeat.time) / lastBeat.duration);
+    return tapTime - (lastBeat.time + beats * lastBeat.duration);
+  }
+
+  // ─── Events ────────────────────────────────────────────────────────────────
+
+  startBtn.addEventListener('click', begin);
+
+  cancelBtn.addEventListener('click', () => {
+    end();
+    statusEl.textContent = '';
+  });
+
+  metronome.addEventListener('beat', (e) => {
+    if (calibrating) lastBeat = e.detail;
+  });
+
+  // Stopping the metronome part-way abandons the run
+  metronome.addEventListener('stop', () => {
+    if (!calibrating) return;
+    end();
+    statusEl.textContent = '';
+  });
+
+  // pointerdown, not click — click waits for the release
+  tapBtn.addEventListener('pointerdown', (e) => {
+    if (!calibrating || !lastBeat) return;
+    e.preventDefault();
+    taps++;
+    if (taps <= WARMUP_TAPS) {
+      statusEl.textContent = 'Keep going…';
+      return;
+    }
+
+    offsets.push(tapOffset(e.timeStamp));
+    statusEl.textContent = `${offsets.length} / ${TAPS}`;
+    if (offsets.length < TAPS) return;
+
+    setOffset(median(offsets));
+    end();
+    statusEl.textContent = `Measured ${offsetInput.value} ms`;
+  });
+
+  offsetInput.addEventListener('change', () => {
+    setOffset(Number(offsetInput.value) / 1000);
+  });
+
+  // ─── localStorage — restore saved state ────────────────────────────────────
+
+  const savedOffset = localStorage.getItem('visualOffset');
+  if (savedOffset) metronome.visualOffset = Number(savedOffset);
+  offsetInput.value = Math.round(metronome.visualOffset * 1000);
+}
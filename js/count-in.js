@@ -0,0 +1,40 @@
+/**
+ * count-in.js — Count-in bars and spoken counting.
+ *
+ * Edits and stores the Metronome's `countIn` config: how many bars of the
+ * count-in sound play before the real first bar, and whether a voice
+ * counts along (during the count-in only, or all the time). The words are
+ * synthesised by voice.js and scheduled by the engine like any click; the
+ * beat display marks the count-in through the .counting-in class ui.js
+ * sets.
+ *
+ * Call initCountIn(metronome) from main.js after initUI(metronome).
+ */
+
+function initCountIn(metronome) {
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const barsSelect  = document.getElementById('count-in');
+  const voiceSelect = document.getElementById('count-voice');
+
+  // ─── Helpers ───────────────────────────────────────────────────────────────
+
+  function apply() {
+    metronome.countIn = { bars: Number(barsSelect.value), voice: voiceSelect.value };
+    localStorage.setItem('countIn', JSON.stringify(metronome.countIn));
+  }
+
+  // ─── Events ────────────────────────────────────────────────────────────────
+
+  [barsSelect, voiceSelect].forEach(el => el.addEventListener('change', apply));
+
+  // ─── localStorage — restore saved state ────────────────────────────────────
+
+  try {
+    const saved = JSON.parse(localStorage.getItem('countIn'));
+    if (saved) metronome.countIn = saved;
+  } catch (e) {
+    console.warn('Ignoring invalid saved count-in settings:', e);
+  }
+  barsSelect.value  = metronome.countIn.bars;
+  voiceSelect.value = metronome.countIn.voice;
+}
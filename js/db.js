@@ -0,0 +1,66 @@
+/**
+ * db.js — Minimal promise wrapper around the app's IndexedDB database.
+ *
+ * Stores:
+ *   samples  — user-imported click sounds: { id, name, type, data: ArrayBuffer }
+ *   sessions — practice log, one per start / stop (see practice-log.js)
+ */
+
+const DB_NAME    = 'online-metronome';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('samples')) {
+          db.createObjectStore('samples', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('sessions')) {
+          db.createObjectStore('sessions', { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror   = () => reject(request.error);
+    });
+    // Let a later call try again instead of caching the failure
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run one request against a store and resolve with its result
+async function dbRequest(storeName, mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx      = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+  });
+}
+
+function dbGetAll(storeName) {
+  return dbRequest(storeName, 'readonly', store => store.getAll());
+}
+
+function dbPut(storeName, value) {
+  return dbRequest(storeName, 'readwrite', store => store.put(value));
+}
+
+function dbDelete(storeName, key) {
+  return dbRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+function dbClear(storeName) {
+  return dbRequest(storeName, 'readwrite', store => store.clear());
+}
@@ -0,0 +1,18 @@
+/**
+ * download.js — Saving generated files (WAV, presets, the practice log).
+ *
+ * downloadFile(data, type, name) wraps `data` (a string or ArrayBuffer) in
+ * a Blob of MIME type `type` and has the browser save it as `name`.
+ */
+
+function downloadFile(data, type, name) {
+  const url  = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
@@ -0,0 +1,45 @@
+/**
+ * export.js — Download the current click as a WAV file for a DAW.
+ *
+ * The audio comes from Metronome#renderOffline, so it goes through the same
+ * scheduling code as live playback; wav.js turns it into a PCM file.
+ *
+ * Call initExport(metronome) from main.js after initUI(metronome).
+ */
+
+function initExport(metronome) {
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const barsInput        = document.getElementById('export-bars');
+  const bitDepthSelect   = document.getElementById('export-bit-depth');
+  const sampleRateSelect = document.getElementById('export-sample-rate');
+  const exportBtn        = document.getElementById('export-wav');
+  const statusEl         = document.getElementById('export-status');
+
+  // e.g. "click-120bpm-7-8-eighths-32bars.wav"
+  function fileName(bars) {
+    const { numerator, denominator } = metronome.meter;
+    const subdivNames = { 1: '', 2: '-eighths', 3: '-triplets', 4: '-sixteenths' };
+    const subdiv = subdivNames[metronome.subdivision] || `-x${metronome.subdivision}`;
+    return `click-${Math.round(metronome.bpm)}bpm-${numerator}-${denominator}${subdiv}-${bars}bars.wav`;
+  }
+
+  exportBtn.addEventListener('click', async () => {
+    const bars       = Math.min(999, Math.max(1, Math.round(Number(barsInput.value)) || 1));
+    const bitDepth   = Number(bitDepthSelect.value);
+    const sampleRate = Number(sampleRateSelect.value);
+    barsInput.value = bars;
+
+    exportBtn.disabled = true;
+    statusEl.textContent = 'Rendering…';
+    try {
+      const audio = await metronome.renderOffline(bars, sampleRate);
+      downloadFile(encodeWav([audio.getChannelData(0)], sampleRate, bitDepth), 'audio/wav', fileName(bars));
+      statusEl.textContent = `${audio.duration.toFixed(1)} s, ${bitDepth}-bit / ${sampleRate / 1000} kHz`;
+    } catch (e) {
+      console.warn('WAV export failed:', e);
+      statusEl.textContent = "Export failed — your browser may not support offline rendering";
+    } finally {
+      exportBtn.disabled = false;
+    }
+  });
+}
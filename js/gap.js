@@ -0,0 +1,82 @@
+/**
+ * gap.js — Gap-click training panel.
+ *
+ * Plays N bars then goes silent for M bars, or drops random bars / beats,
+ * to check whether the player rushes or drags without the click. The
+ * Metronome keeps counting through the silence; this file only edits and
+ * stores the config, and can hide the beat display while it's silent.
+ *
+ * Call initGap(metronome) from main.js after initUI(metronome).
+ */
+
+function initGap(metronome) {
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const container       = document.querySelector('.container');
+  const enabledBox      = document.getElementById('gap-enabled');
+  const modeSelect      = document.getElementById('gap-mode');
+  const fixedRow        = document.getElementById('gap-fixed-row');
+  const randomRow       = document.getElementById('gap-random-row');
+  const playInput       = document.getElementById('gap-play');
+  const silentInput     = document.getElementById('gap-silent');
+  const barChanceInput  = document.getElementById('gap-bar-chance');
+  const beatChanceInput = document.getElementById('gap-beat-chance');
+  const hideBox         = document.getElementById('gap-hide');
+
+  // ─── Helpers ───────────────────────────────────────────────────────────────
+
+  // Chances are shown as percentages, the metronome takes 0–1
+  function readForm() {
+    return {
+      mode:       modeSelect.value,
+      playBars:   Number(playInput.value),
+      silentBars: Number(silentInput.value),
+      barChance:  Number(barChanceInput.value) / 100,
+      beatChance: Number(beatChanceInput.value) / 100,
+    };
+  }
+
+  function fillForm(config) {
+    modeSelect.value      = config.mode;
+    playInput.value       = config.playBars;
+    silentInput.value     = config.silentBars;
+    barChanceInput.value  = Math.round(config.barChance * 100);
+    beatChanceInput.value = Math.round(config.beatChance * 100);
+  }
+
+  function apply() {
+    const isRandom = modeSelect.value === 'random';
+    fixedRow.hidden  = isRandom;
+    randomRow.hidden = !isRandom;
+
+    metronome.gap = enabledBox.checked ? readForm() : null;
+    if (metronome.gap) fillForm(metronome.gap);
+
+    // Hiding is purely visual — see .hide-silent in style.css
+    container.classList.toggle('hide-silent', enabledBox.checked && hideBox.checked);
+
+    localStorage.setItem('gap', JSON.stringify({
+      ...readForm(),
+      enabled: enabledBox.checked,
+      hideIndicator: hideBox.checked,
+    }));
+  }
+
+  // ─── Events ────────────────────────────────────────────────────────────────
+
+  [enabledBox, modeSelect, playInput, silentInput, barChanceInput, beatChanceInput, hideBox]
+    .forEach(el => el.addEventListener('change', apply));
+
+  // ─── localStorage — restore saved state ────────────────────────────────────
+
+  try {
+    const saved = JSON.parse(localStorage.getItem('gap'));
+    if (saved) {
+      fillForm({ ...readForm(), ...saved });
+      enabledBox.checked = Boolean(saved.enabled);
+      hideBox.checked    = Boolean(saved.hideIndicator);
+    }
+  } catch (e) {
+    console.warn('Ignoring invalid saved gap training settings:', e);
+  }
+  apply();
+}
@@ -0,0 +1,189 @@
+/**
+ * layers.js — Polyrhythm layers panel and their dot rows.
+ *
+ * Each layer splits the bar into its own number of equal pulses (3 against
+ * 4, 5 against 4...) on its own sound and volume. The Metronome schedules
+ * them against the main stream's bars; this file edits and stores the
+ * layers, and draws one row of dots per layer under the beat row.
+ *
+ * Call initLayers(metronome) from main.js after initUI(metronome).
+ */
+
+function initLayers(metronome) {
+  const MAX_LAYERS = 3;
+
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const panel     = document.getElementById('layers-panel');
+  const layerList = document.getElementById('layer-list');
+  const addBtn    = document.getElementById('layer-add');
+  const layerRows = document.getElementById('layer-rows');
+
+  // ─── Helpers ───────────────────────────────────────────────────────────────
+
+  let editing = false; // the change came from the editor rows themselves
+
+  function save() {
+    localStorage.setItem('layers', JSON.stringify(metronome.layers));
+  }
+
+  function update(index, changes) {
+    const layers = metronome.layers;
+    Object.assign(layers[index], changes);
+    editing = true;
+    metronome.layers = layers;
+    editing = false;
+  }
+
+  function makeInput(type, attrs) {
+    const input = document.createElement('input');
+    input.type = type;
+    Object.assign(input, attrs);
+    return input;
+  }
+
+  // One editor row per layer: on/off, pulses, sound, pitch, volume, remove
+  function renderList() {
+    const voices = metronome.sounds.voices;
+    layerList.replaceChildren(...metronome.layers.map((layer, index) => {
+      const row = document.createElement('div');
+      row.className = 'panel-row layer';
+      row.dataset.index = index;
+
+      const enabled = makeInput('checkbox', { checked: layer.enabled, className: 'layer-enabled' });
+      enabled.setAttribute('aria-label', `Layer ${index + 1} on`);
+
+      const pulses = makeInput('number', {
+        value: layer.pulses, min: 1, max: METER_MAX_BEATS,
+        className: 'panel-input panel-input-narrow layer-pulses',
+        title: 'Pulses per bar',
+      });
+      pulses.setAttribute('aria-label', `Layer ${index + 1} pulses per bar`);
+
+      const sound = document.createElement('select');
+      sound.className = 'time-sig-select layer-sound';
+      sound.setAttribute('aria-label', `Layer ${index + 1} sound`);
+      sound.replaceChildren(...voices.map(voice => {
+        const option = document.createElement('option');
+        option.value = voice.id;
+        option.textContent = voice.name;
+        return option;
+      }));
+      sound.value = layer.sound;
+
+      const pitch = makeInput('range', {
+        min: -12, max: 12, step: 1, value: layer.pitch,
+        className: 'sound-pitch layer-pitch',
+        title: `${layer.pitch > 0 ? '+' : ''}${layer.pitch} semitones`,
+      });
+      pitch.setAttribute('aria-label', `Layer ${index + 1} pitch`);
+
+      const volume = makeInput('range', {
+        min: 0, max: 1, step: 0.01, value: layer.volume,
+        className: 'sound-pitch layer-volume',
+      });
+      volume.setAttribute('aria-label', `Layer ${index + 1} volume`);
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn-small layer-remove';
+      remove.textContent = '×';
+      remove.title = `Remove layer ${index + 1}`;
+
+      row.append(enabled, pulses, sound, pitch, volume, remove);
+      return row;
+    }));
+    addBtn.disabled = metronome.layers.length >= MAX_LAYERS;
+  }
+
+  // A row of evenly spaced dots per enabled layer, stretched to the width
+  // of the beat row so the pulses line up with the beats they fall between
+  function renderRows() {
+    layerRows.replaceChildren(...metronome.layers.map((layer, index) => {
+      const row = document.createElement('div');
+      row.className = 'layer-row';
+      row.dataset.index = index;
+      row.hidden = !layer.enabled;
+      for (let pulse = 0; pulse < layer.pulses; pulse++) {
+        const cell = document.createElement('span');
+        cell.className = 'layer-pulse';
+        row.appendChild(cell);
+      }
+      return row;
+    }));
+  }
+
+  function flashPulse(index, pulse) {
+    const row = layerRows.children[index];
+    if (!row) return;
+    [...row.children].forEach((cell, i) => cell.classList.toggle('active', i === pulse));
+  }
+
+  // ─── Events ────────────────────────────────────────────────────────────────
+
+  addBtn.addEventListener('click', () => {
+    const layers = metronome.layers;
+    if (layers.length >= MAX_LAYERS) return;
+    // 3 against whatever the bar has, or 2 against 3 in triple meters
+    const pulses = metronome.beatsPerMeasure % 3 === 0 ? 2 : 3;
+    layers.push({ pulses, sound: 'woodblock', pitch: 0, volume: 0.8, enabled: true });
+    metronome.layers = layers;
+  });
+
+  layerList.addEventListener('change', (e) => {
+    const row = e.target.closest('.layer');
+    if (!row) return;
+    const index = Number(row.dataset.index);
+    const el = e.target;
+
+    if (el.classList.contains('layer-enabled'))      update(index, { enabled: el.checked });
+    else if (el.classList.contains('layer-pulses'))  update(index, { pulses: Number(el.value) });
+    else if (el.classList.contains('layer-sound'))   update(index, { sound: el.value });
+    else if (el.classList.contains('layer-pitch'))   update(index, { pitch: Number(el.value) });
+    else if (el.classList.contains('layer-volume'))  update(index, { volume: Number(el.value) });
+    // Show the value as clamped by the metronome
+    if (el.classList.contains('layer-pulses')) el.value = metronome.layers[index].pulses;
+  });
+
+  layerList.addEventListener('input', (e) => {
+    if (e.target.classList.contains('layer-pitch')) {
+      e.target.title = `${e.target.value > 0 ? '+' : ''}${e.target.value} semitones`;
+    }
+  });
+
+  layerList.addEventListener('click', (e) => {
+    const btn = e.target.closest('.layer-remove');
+    if (!btn) return;
+    const layers = metronome.layers;
+    layers.splice(Number(btn.closest('.layer').dataset.index), 1);
+    metronome.layers = layers;
+  });
+
+  // Samples load after startup — pick up the current voice list on open
+  panel.addEventListener('toggle', () => {
+    if (panel.open) renderList();
+  });
+
+  // Any change, here or e.g. from a preset, is saved and redrawn. The
+  // editor rows are left alone while they're the ones being edited.
+  metronome.addEventListener('layerschange', () => {
+    save();
+    renderRows();
+    if (!editing) renderList();
+  });
+
+  metronome.addEventListener('pulse', (e) => flashPulse(e.detail.layer, e.detail.pulse));
+  metronome.addEventListener('stop', () => {
+    layerRows.querySelectorAll('.layer-pulse.active').forEach(cell => cell.classList.remove('active'));
+  });
+
+  // ─── localStorage — restore saved state ────────────────────────────────────
+
+  try {
+    const saved = JSON.parse(localStorage.getItem('layers'));
+    if (Array.isArray(saved)) metronome.layers = saved.slice(0, MAX_LAYERS);
+  } catch (e) {
+    console.warn('Ignoring invalid saved layers:', e);
+  }
+  renderList();
+  renderRows();
+}
@@ -0,0 +1,96 @@
+/**
+ * link.js — Shareable links that carry the metronome's setup.
+ *
+ * The state goes in the URL hash, e.g. #bpm=152&ts=7%2F8&g=2%2B2%2B3&sub=2,
+ * so it never reaches a server; a query string with the same keys works
+ * too (the hash wins). initUI applies a link's values ahead of the ones
+ * saved in localStorage.
+ *
+ *   bpm   — tempo
+ *   ts    — time signature ("7/8")
+ *   g     — grouping ("2+2+3")
+ *   unit  — "note" or "dotted" (defaults to dotted for compound meters)
+ *   sub   — subdivision, 1–4
+ *   swing — swing in percent
+ *   vol   — volume in percent
+ *   theme — "dark" or "light"
+ */
+
+// Link parameter → localStorage key, and how to turn the parameter into
+// the stored form (null to reject it)
+const LINK_PARAMS = {
+  bpm:   { key: 'bpm',         parse: text => linkNumber(text) },
+  ts:    { key: 'timeSig',     parse: text => parseMeter(text) ? text : null },
+  g:     { key: 'grouping',    parse: text => text.replace(/\s+/g, '+') }, // "+" arrives as a space in a query string
+  unit:  { key: 'beatUnit',    parse: text => text === 'dotted' || text === 'note' ? text : null },
+  sub:   { key: 'subdivision', parse: text => ['1', '2', '3', '4'].includes(text) ? text : null },
+  swing: { key: 'swing',       parse: text => linkPercent(text) },
+  vol:   { key: 'volume',      parse: text => linkPercent(text) },
+  theme: { key: 'theme',       parse: text => text === 'dark' || text === 'light' ? text : null },
+};
+
+function linkNumber(text) {
+  const value = Number(text);
+  return text !== '' && Number.isFinite(value) ? String(value) : null;
+}
+
+function linkPercent(text) {
+  const value = linkNumber(text);
+  return value === null ? null : String(Number(value) / 100);
+}
+
+/**
+ * The link's values from `url`, keyed like localStorage: { bpm: '152',
+ * timeSig: '7/8', ... }. Unknown parameters are ignored and unreadable
+ * ones dropped with a warning; ranges are left to the Metronome's setters.
+ */
+function readLinkState(url = location.href) {
+  const { search, hash } = new URL(url);
+  const params = new URLSearchParams(search);
+  new URLSearchParams(hash.slice(1)).forEach((value, name) => params.set(name, value));
+
+  const state = {};
+  params.forEach((text, name) => {
+    const param = LINK_PARAMS[name];
+    if (!param) return;
+    const value = param.parse(text.trim());
+    if (value === null) console.warn(`Ignoring invalid link parameter ${name}=${text}`);
+    else state[param.key] = value;
+  });
+
+  // As when typing a time signature: compound meters count dotted beats
+  // unless the link says otherwise
+  if (state.timeSig && !state.beatUnit) {
+    const { numerator, denominator } = parseMeter(state.timeSig);
+    state.beatUnit = isCompoundMeter(numerator, denominator) ? 'dotted' : 'note';
+  }
+  return state;
+}
+
+// The page's own URL with `metronome`'s setup (and `theme`) in the hash
+function buildLink(metronome, theme, url = location.href) {
+  const { meter } = metronome;
+  const params = new URLSearchParams({ bpm: metronome.bpm, ts: formatMeter(meter) });
+  if (meter.grouping) params.set('g', formatGrouping(meter.grouping));
+  params.set('unit', metronome.beatUnit);
+  params.set('sub', metronome.subdivision);
+  if (metronome.swing !== 0.5) params.set('swing', Math.round(metronome.swing * 100));
+  params.set('vol', Math.round(metronome.volume * 100));
+  if (theme) params.set('theme', theme);
+
+  const link = new URL(stripLinkState(url));
+  link.hash = params.toString();
+  return link.toString();
+}
+
+// `url` without its link parameters — the page's plain address
+function stripLinkState(url = location.href) {
+  const plain = new URL(url);
+  const strip = params => {
+    Object.keys(LINK_PARAMS).forEach(name => params.delete(name));
+    return params.toString();
+  };
+  plain.search = strip(new URLSearchParams(plain.search));
+  plain.hash   = strip(new URLSearchParams(plain.hash.slice(1)));
+  return plain.toString();
+}
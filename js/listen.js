@@ -0,0 +1,217 @@
+/**
+ * listen.js — Listen mode: how early or late are the notes you play?
+ *
+ * The microphone goes into the Metronome's own AudioContext, where a small
+ * AudioWorklet (loaded from a Blob URL, so there's no extra file to serve)
+ * hands the raw samples, stamped with context time, to an OnsetDetector
+ * (onsets.js). Each onset is matched to the nearest scheduled click —
+ * beats only, or subdivisions too — and the offsets build up into an
+ * early / late histogram with a running average. Nothing leaves the
+ * browser.
+ *
+ * The mic hears a note some time after it's played, so offsets have the
+ * output latency the browser reports and a "mic latency" taken off. Zero
+ * on click measures the latter: with the mic hearing only the click, the
+ * average is pure latency.
+ *
+ * Call initListen(metronome) from main.js after initUI(metronome).
+ */
+
+// Runs on the audio thread: batches input blocks and posts them with the
+// context time of their first sample
+const CAPTURE_WORKLET = `
+class OnsetCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.samples = new Float32Array(1024);
+    this.fill    = 0;
+    this.time    = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0] && inputs[0][0];
+    if (!input) return true;
+    if (this.fill + input.length > this.samples.length) this.flush();
+    if (this.fill === 0) this.time = currentTime;
+    this.samples.set(input, this.fill);
+    this.fill += input.length;
+    if (this.fill === this.samples.length) this.flush();
+    return true;
+  }
+
+  flush() {
+    const samples = this.samples.slice(0, this.fill);
+    this.port.postMessage({ samples, time: this.time }, [samples.buffer]);
+    this.fill = 0;
+  }
+}
+registerProcessor('onset-capture', OnsetCaptureProcessor);
+`;
+
+function initListen(metronome) {
+  const BIN_MS     = 10;  // histogram bin width
+  const MAX_MS     = 100; // outermost bins also take anything further out
+  const ON_TIME_MS = 5;   // closer than this counts as on time
+
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const toggleBtn    = document.getElementById('listen-toggle');
+  const gridSelect   = document.getElementById('listen-grid');
+  const histogramEl  = document.getElementById('listen-histogram');
+  const averageEl    = document.getElementById('listen-average');
+  const lastEl       = document.getElementById('listen-last');
+  const resetBtn     = document.getElementById('listen-reset');
+  const latencyInput = document.getElementById('listen-latency');
+  const zeroBtn      = document.getElementById('listen-zero');
+  const statusEl     = document.getElementById('listen-status');
+
+  const loadedContexts = new WeakSet(); // contexts the worklet is registered in
+
+  let stream   = null;
+  let source   = null;
+  let node     = null;
+  let detector = null;
+  let offsets  = []; // ms, positive = late
+
+  // ─── Helpers ───────────────────────────────────────────────────────────────
+
+  function save() {
+    localStorage.setItem('listen', JSON.stringify({
+      grid:    gridSelect.value,
+      latency: Number(latencyInput.value) || 0,
+    }));
+  }
+
+  function describe(ms) {
+    const rounded = Math.round(ms);
+    if (Math.abs(rounded) < ON_TIME_MS) return 'on time';
+    return `${Math.abs(rounded)} ms ${rounded < 0 ? 'early' : 'late'}`;
+  }
+
+  function average() {
+    return offsets.reduce((sum, ms) => sum + ms, 0) / offsets.length;
+  }
+
+  function render() {
+    const bins = new Array(2 * MAX_MS / BIN_MS + 1).fill(0);
+    offsets.forEach(ms => {
+      const bin = Math.round(Math.min(MAX_MS, Math.max(-MAX_MS, ms)) / BIN_MS) + MAX_MS / BIN_MS;
+      bins[bin]++;
+    });
+    const tallest = Math.max(1, ...bins);
+    histogramEl.replaceChildren(...bins.map((count, index) => {
+      const ms  = (index - MAX_MS / BIN_MS) * BIN_MS;
+      const bar = document.createElement('div');
+      bar.className = 'listen-bin' + (ms === 0 ? ' centre' : ms < 0 ? ' early' : ' late');
+      bar.style.height = `${count / tallest * 100}%`;
+      bar.title = `${ms > 0 ? '+' : ''}${ms} ms: ${count}`;
+      return bar;
+    }));
+
+    averageEl.textContent = offsets.length
+      ? `Average ${describe(average())} · ${offsets.length} note${offsets.length === 1 ? '' : 's'}`
+      : 'No notes yet';
+    zeroBtn.disabled = offsets.length === 0;
+  }
+
+  function onOnset(time) {
+    if (!metronome.isRunning) return;
+    const ctx     = metronome.audioContext;
+    const latency = (ctx.outputLatency || ctx.baseLatency || 0) + (Number(latencyInput.value) || 0) / 1000;
+    const click   = metronome.nearestClick(time - latency, { beatsOnly: gridSelect.value === 'beats' });
+    if (!click) return;
+
+    const ms = click.offset * 1000;
+    offsets.push(ms);
+    lastEl.textContent = describe(ms);
+    lastEl.className = 'listen-last ' + (Math.abs(ms) < ON_TIME_MS ? 'on-time' : ms < 0 ? 'early' : 'late');
+    render();
+  }
+
+  async function loadWorklet(ctx) {
+    if (loadedContexts.has(ctx)) return;
+    const url = URL.createObjectURL(new Blob([CAPTURE_WORKLET], { type: 'application/javascript' }));
+    try {
+      await ctx.audioWorklet.addModule(url);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+    loadedContexts.add(ctx);
+  }
+
+  async function startListening() {
+    const ctx = metronome.audioContext;
+    if (!ctx.audioWorklet || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      statusEl.textContent = "This browser can't listen to the microphone";
+      return;
+    }
+
+    toggleBtn.disabled = true;
+    try {
+      await ctx.resume();
+      await loadWorklet(ctx);
+      // Processing meant for calls would smear or swallow the attacks
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+      });
+    } catch (e) {
+      console.warn('Listen mode unavailable:', e);
+      statusEl.textContent = "Couldn't open the microphone";
+      toggleBtn.disabled = false;
+      return;
+    }
+
+    detector = new OnsetDetector(ctx.sampleRate);
+    source   = ctx.createMediaStreamSource(stream);
+    node     = new AudioWorkletNode(ctx, 'onset-capture', { numberOfOutputs: 0 });
+    node.port.onmessage = (e) => detector.process(e.data.samples, e.data.time).forEach(onOnset);
+    source.connect(node);
+
+    toggleBtn.disabled    = false;
+    toggleBtn.textContent = 'Stop listening';
+    statusEl.textContent  = 'Listening — headphones keep the click out of the mic';
+  }
+
+  function stopListening() {
+    node.port.onmessage = null;
+    source.disconnect();
+    stream.getTracks().forEach(track => track.stop());
+    stream = source = node = detector = null;
+    toggleBtn.textContent = 'Start listening';
+    statusEl.textContent  = '';
+  }
+
+  // ─── Events ────────────────────────────────────────────────────────────────
+
+  toggleBtn.addEventListener('click', () => {
+    if (stream) stopListening();
+    else startListening();
+  });
+
+  resetBtn.addEventListener('click', () => {
+    offsets = [];
+    lastEl.textContent = '';
+    render();
+  });
+
+  // Whatever the average is now becomes part of the latency
+  zeroBtn.addEventListener('click', () => {
+    latencyInput.value = Math.round((Number(latencyInput.value) || 0) + average());
+    save();
+    resetBtn.click();
+  });
+
+  [gridSelect, latencyInput].forEach(el => el.addEventListener('change', save));
+
+  // ─── localStorage — restore saved state ────────────────────────────────────
+
+  try {
+    const saved = JSON.parse(localStorage.getItem('listen'));
+    if (saved) {
+      if (saved.grid === 'beats' || saved.grid === 'slots') gridSelect.value = saved.grid;
+      latencyInput.value = Number(saved.latency) || 0;
+    }
+  } catch (e) {
+    console.warn('Ignoring invalid saved listen settings:', e);
+  }
+  render();
+}
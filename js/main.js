@@ -1,3 +1,23 @@
 const metronome = new Metronome();
-initUI(metronome);
-initMobile(metronome);
+const ui = initUI(metronome);
+initSoundPanel(metronome);
+initSetlist(metronome, ui);
+initTrainer(metronome, ui);
+initGap(metronome);
+initLayers(metronome);
+const presets = initPresets(metronome, ui);
+initCountIn(metronome);
+initPendulum(metronome);
+initCalibration(metronome);
+initTapGame(metronome);
+initPracticeLog(metronome, presets);
+initListen(metronome);
+initMidiPanel(metronome);
+initBindings(metronome, ui, presets);
+initExport(metronome);
+initMobile(metronome, presets);
+
+// Offline use (sw.js) — service workers need http(s), not file://
+if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+  navigator.serviceWorker.register('sw.js').catch(e => console.warn('Offline cache unavailable:', e));
+}
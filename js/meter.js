@@ -0,0 +1,88 @@
+/**
+ * meter.js — Time signature parsing and additive grouping helpers.
+ *
+ * A meter is a plain object: { numerator, denominator, grouping }, where
+ * grouping is either null (no additive grouping) or an array of group sizes
+ * that sums to the numerator, e.g. 7/8 as 2+2+3 → [2, 2, 3].
+ */
+
+const METER_MAX_BEATS    = 32;
+const METER_DENOMINATORS = [1, 2, 4, 8, 16, 32];
+
+// 6/8, 9/8, 12/8 (and 6/4, 9/16...) are felt in dotted pulses of three
+function isCompoundMeter(numerator, denominator) {
+  return numerator > 3 && numerator % 3 === 0 && denominator >= 4;
+}
+
+function defaultGrouping(numerator, denominator) {
+  if (!isCompoundMeter(numerator, denominator)) return null;
+  return new Array(numerator / 3).fill(3);
+}
+
+/**
+ * Parse "2+2+3" into [2, 2, 3]. Returns null for an empty string and
+ * undefined if the text isn't a valid grouping of `numerator` beats.
+ */
+function parseGrouping(text, numerator) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return null;
+  if (!/^\d+(\s*\+\s*\d+)*$/.test(trimmed)) return undefined;
+
+  const groups = trimmed.split('+').map(Number);
+  if (groups.some(size => size < 1)) return undefined;
+  if (groups.reduce((a, b) => a + b, 0) !== numerator) return undefined;
+  // A single group of the whole measure is the same as no grouping
+  return groups.length > 1 ? groups : null;
+}
+
+/**
+ * Parse free-entry time signature text. Accepts "7/8", "7/8 2+2+3" and
+ * "2+2+3/8". Returns a meter object, or null if the text is invalid.
+ */
+function parseMeter(text) {
+  const match = String(text || '').trim().match(/^([\d\s+]+?)\s*\/\s*(\d+)(?:\s+([\d\s+]+))?$/);
+  if (!match) return null;
+
+  const denominator = Number(match[2]);
+  if (!METER_DENOMINATORS.includes(denominator)) return null;
+
+  // The numerator may itself be written additively ("2+2+3/8")
+  const top = match[1].replace(/\s+/g, '');
+  if (!/^\d+(\+\d+)*$/.test(top)) return null;
+  const numerator = top.split('+').map(Number).reduce((a, b) => a + b, 0);
+  if (numerator < 1 || numerator > METER_MAX_BEATS) return null;
+
+  let grouping = top.includes('+') ? parseGrouping(top, numerator) : defaultGrouping(numerator, denominator);
+  if (match[3] !== undefined) {
+    grouping = parseGrouping(match[3], numerator);
+    if (grouping === undefined) return null;
+  }
+
+  return { numerator, denominator, grouping };
+}
+
+function formatMeter(meter) {
+  return `${meter.numerator}/${meter.denominator}`;
+}
+
+function formatGrouping(grouping) {
+  return grouping ? grouping.join('+') : '';
+}
+
+/**
+ * Every way to split `numerator` into groups of 2 and 3, for suggestions in
+ * the grouping field. Capped so long measures don't produce huge lists.
+ */
+function groupingSuggestions(numerator, limit = 8) {
+  const results = [];
+  (function build(remaining, groups) {
+    if (results.length >= limit) return;
+    if (remaining === 0) {
+      if (groups.length > 1) results.push(groups.join('+'));
+      return;
+    }
+    if (remaining >= 2) build(remaining - 2, groups.concat(2));
+    if (remaining >= 3) build(remaining - 3, groups.concat(3));
+  })(numerator, []);
+  return results;
+}
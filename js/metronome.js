@@ -4,67 +4,556 @@
  * Based on Chris Wilson's "A Tale of Two Clocks":
  * https://web.dev/audio-scheduling/
  *
- * A setInterval fires every LOOKAHEAD_INTERVAL ms and schedules any beats
- * that fall within the next SCHEDULE_AHEAD_TIME seconds using AudioContext
+ * A timer fires every LOOKAHEAD_INTERVAL ms and schedules any beats that
+ * fall within the next SCHEDULE_AHEAD_TIME seconds using AudioContext
  * timestamps, giving sample-accurate timing independent of UI thread jank.
+ * The timer runs in a Web Worker, whose timers aren't throttled in
+ * background tabs the way the page's are (a plain setInterval is the
+ * fallback). If the scheduler still falls behind — a frozen tab, a
+ * suspended context — it picks up from now rather than rushing through the
+ * missed clicks (see resync).
+ *
+ * Tempo, meter and subdivision changes take effect from the next beat: a
+ * beat already under way finishes as it started.
+ *
+ * Events (CustomEvent, payload in `event.detail`). Every detail carries
+ * `time`, the AudioContext time the event is heard at, and the position
+ * `bar` (0-based bars since start(), negative during a count-in) and
+ * `beat` where it applies. beat, subdivision and bar events also carry
+ * `countIn`, true while the count-in plays:
+ *
+ *   start, stop    — the metronome started / stopped
+ *   beat           — a beat sounds: { subdiv: 0, duration, group, position, size, silent }
+ *                    (`position`/`size` are within the additive group; `silent`
+ *                    means gap training dropped the click but the beat counts;
+ *                    `duration` is the beat's length in seconds)
+ *   subdivision    — every click slot, beats included: { subdiv, level, silent }
+ *   bar            — a downbeat: { duration } (the bar's length in seconds)
+ *   tempochange    — { bpm }, unrounded while the trainer ramps
+ *   meterchange    — { meter, beatUnit, subdivision }
+ *   layerschange   — { layers } (the polyrhythm layers were replaced)
+ *   pulse          — a polyrhythm layer pulse: { layer, pulse, silent }
+ *   songprogress   — every song downbeat: { progress: { index, section, bar,
+ *                    bars, barsLeft } } (`progress.bar` is 1-based in the section)
+ *   songend        — the last bar of a song has finished and playback stopped
+ *   schedule       — every lookahead pass, as it happens: { until, clicks }
+ *                    (the clicks just scheduled, as nearestClick() returns them
+ *                    without `offset`; everything before `until` is scheduled)
+ *
+ * Scheduled events are dispatched when their click is heard — from a
+ * requestAnimationFrame loop against AudioContext time, allowing for the
+ * output latency and the calibrated `visualOffset` — so flashes line up
+ * with the sound. Changes made through the setters are dispatched straight
+ * away, and so is `schedule`, which is for output that has to be timed
+ * ahead like the audio (MIDI).
  */
-class Metronome {
+// Runs off the main thread: posts 'tick' every `interval` ms (0 stops it)
+const SCHEDULER_WORKER = `
+let timer = null;
+onmessage = (e) => {
+  clearInterval(timer);
+  timer = e.data.interval ? setInterval(() => postMessage('tick'), e.data.interval) : null;
+};
+`;
+
+class Metronome extends EventTarget {
   constructor() {
+    super();
+
     // Scheduler config
     this.SCHEDULE_AHEAD_TIME = 0.1;  // seconds to look ahead
     this.LOOKAHEAD_INTERVAL  = 25;   // ms between scheduler ticks
+    this.MAX_LATE            = 0.05; // seconds a click may be overdue before the scheduler resyncs
 
-    // Oscillator config
-    this.FREQ_ACCENT   = 1500; // Hz — first beat of measure
-    this.FREQ_NORMAL   = 1000; // Hz — all other beats
-    this.CLICK_DURATION = 0.03; // seconds
+    // Click sounds — which voice and pitch each role uses (see sounds.js)
+    this.sounds = new SoundBank();
+    this.GROUP_TRANSPOSE = -3; // semitones below the accent for additive group starts (2+2+3...)
+    this.COUNT_IN_TRANSPOSE = 5; // semitones above the count-in sound for its downbeats
+    this.VOICE_GAIN = 0.9;      // spoken counts relative to the main volume
+
+    // Accent levels, loudest first. Every slot of the accent pattern holds one.
+    this.ACCENT_LEVELS = ['accent', 'normal', 'ghost', 'mute'];
+    this.SUBDIV_GAIN   = 0.45; // subdivisions relative to the main volume
+    this.GHOST_GAIN    = 0.25; // ghost clicks relative to their normal volume
 
     // User-facing state
     this._bpm             = 120;
     this._beatsPerMeasure = 4;
+    this._meter           = { numerator: 4, denominator: 4, grouping: null };
+    this._beatUnit        = 'note'; // what BPM counts: 'note' (1/denominator) or 'dotted' (3 notes)
+    this._beatGroups      = [];     // per beat: { group, position, size }
     this._volume          = 0.8;
+    this._muted           = false;
     this._subdivision     = 1; // clicks per beat (1=quarter, 2=eighth, 3=triplet, 4=sixteenth)
+    this._swing           = 0.5; // share of each subdivision pair taken by its first note (0.5 = straight)
+
+    // Accent pattern — one row per beat, one level per subdivision slot.
+    // Rows beyond beatsPerMeasure are kept so shrinking the measure and
+    // growing it again doesn't lose what the user set.
+    this._accentPattern   = [];
+    this._resizeAccentPattern(1);
+    this._buildBeatGroups();
 
     // Internal runtime state
     this._audioCtx       = null;
-    this._intervalId     = null;
+    this._offline        = false; // rendering into an OfflineAudioContext — no UI callbacks
+    this._running        = false;
+    this._worker         = null; // scheduler tick Worker; false if one can't be made
+    this._intervalId     = null; // fallback tick timer
     this._nextBeatTime   = 0;  // AudioContext time of next scheduled click
     this._currentBeat    = 0;  // 0-based beat within measure
     this._currentSubdiv  = 0;  // 0-based subdivision within beat
+    this._beatSlots      = 1;  // subdivision and beat length in force for the
+    this._beatLength     = 0.5; // beat being scheduled (see _startBeat)
+    this._downbeatNext   = false; // the meter changed mid-beat: the next beat is a downbeat
+    this._bar            = 0;  // bars since start()
+    this._changeTime     = null; // when set, setter events wait for this time (see _changesAt)
+
+    // Scheduled events waiting to be seen: [{ time, fn }] sorted by time
+    this._eventQueue     = [];
+    this._frameId        = null;
+    this._visualOffset   = 0; // seconds the display lags the reported output time (see calibration.js)
+
+    // Song mode — an ordered list of sections played back to back
+    this._song           = null; // { name, sections: [{ name, bpm, meter, beatUnit, subdivision, bars }] }
+    this._sectionIndex   = 0;
+    this._barInSection   = 0;    // 0-based bar within the current section
+
+    // Tempo trainer — automatic BPM steps or ramps (see the `trainer` setter)
+    this._trainer        = null;
+    this._trainerState   = null; // { bars, since, from } since the last step / ramp start
+
+    // Gap-click training — silent bars / dropped beats (see the `gap` setter)
+    this._gap            = null;
+    this._gapState       = { bar: 0, barSilent: false, beatSilent: false };
 
-    // UI hook — called with the 0-based beat index just before it sounds
-    this.onBeat = null;
+    // Polyrhythm layers — extra streams that split each bar into their own
+    // number of equal pulses. The main stream queues every bar it schedules
+    // as { start, duration, silent, next }; each layer walks that queue.
+    this._layers         = []; // [{ pulses, sound, pitch, volume, enabled }]
+    this._layerState     = []; // per layer: { bar, pulse } — the next pulse to schedule
+    this._lastBar        = null; // newest queued bar
 
-    // Lifecycle hooks — called after start() / stop()
-    this.onStart = null;
-    this.onStop  = null;
+    // Count-in — bars of a distinct click before the real first bar, and
+    // spoken counting (see the `countIn` setter)
+    this._countIn        = { bars: 0, voice: 'off' };
+    this._countInLeft    = 0; // count-in bars still to schedule, the current one included
+
+    // Recently scheduled clicks, oldest first — the grid played notes are
+    // measured against (see nearestClick)
+    this.CLICK_LOG_SECONDS = 4;
+    this._clickLog       = [];
   }
 
   // ─── Public API ───────────────────────────────────────────────────────────
 
   get bpm() { return this._bpm; }
   set bpm(value) {
-    this._bpm = Math.min(300, Math.max(20, Math.round(value)));
+    this._setTempo(Math.round(value));
   }
 
   get beatsPerMeasure() { return this._beatsPerMeasure; }
   set beatsPerMeasure(value) {
-    this._beatsPerMeasure = value;
-    this._currentBeat = 0;
+    if (!Number.isFinite(Number(value))) return;
+    const numerator = Math.min(METER_MAX_BEATS, Math.max(1, Math.floor(value)));
+    const { denominator } = this._meter;
+    this.meter = { numerator, denominator, grouping: defaultGrouping(numerator, denominator) };
+  }
+
+  /**
+   * The time signature: { numerator, denominator, grouping }. `grouping` is
+   * null or an array of group sizes summing to the numerator (see meter.js).
+   * Invalid groupings fall back to no grouping.
+   */
+  get meter() {
+    const { numerator, denominator, grouping } = this._meter;
+    return { numerator, denominator, grouping: grouping ? grouping.slice() : null };
+  }
+  set meter(value) {
+    if (!Number.isFinite(Number(value.numerator))) return;
+    const numerator   = Math.min(METER_MAX_BEATS, Math.max(1, Math.floor(value.numerator)));
+    const denominator = METER_DENOMINATORS.includes(value.denominator) ? value.denominator : 4;
+    const grouping    = Array.isArray(value.grouping)
+      ? parseGrouping(value.grouping.join('+'), numerator) || null
+      : null;
+
+    // The new meter starts a new bar — mid-beat, from the next beat. On a
+    // downbeat one has just started (_startBar), so that one is kept.
+    const barCut = this._currentSubdiv === 0 && this._currentBeat !== 0;
+    this._meter           = { numerator, denominator, grouping };
+    this._beatsPerMeasure = numerator;
+    if (this._currentSubdiv === 0) this._currentBeat = 0;
+    else this._downbeatNext = true;
+    this._resizeAccentPattern(this._subdivision);
+    this._buildBeatGroups();
+    this._meterChanged();
+    if (barCut && this.isRunning) this._startBar();
+  }
+
+  get beatUnit() { return this._beatUnit; }
+  set beatUnit(value) {
+    const previous = this._beatUnit;
+    this._beatUnit = value === 'dotted' ? 'dotted' : 'note';
+    if (this._beatUnit !== previous) this._meterChanged();
+  }
+
+  // Which additive group a beat falls in, e.g. beat 4 of 2+2+3 → { group: 2, position: 0, size: 3 }
+  groupOf(beat) {
+    return this._beatGroups[beat] || { group: 0, position: beat, size: this._beatsPerMeasure };
   }
 
   get volume() { return this._volume; }
   set volume(value) {
-    this._volume = Math.min(1, Math.max(0, value));
+    if (!Number.isFinite(Number(value))) return;
+    this._volume = Math.min(1, Math.max(0, Number(value)));
+  }
+
+  // Silences every sound while the count, events and MIDI carry on
+  get muted() { return this._muted; }
+  set muted(value) {
+    this._muted = Boolean(value);
   }
 
   get subdivision() { return this._subdivision; }
   set subdivision(value) {
+    if (!Number.isFinite(Number(value))) return;
+    const previous       = this._subdivision;
     this._subdivision    = Math.max(1, Math.floor(value));
-    this._currentSubdiv  = 0;
+    this._resizeAccentPattern(previous);
+    if (this._subdivision !== previous) this._meterChanged();
+  }
+
+  /**
+   * Swing: how much of each pair of subdivision slots the first one takes.
+   * 0.5 is straight, ~0.67 triplet swing, 0.75 dotted. Applies to eighths
+   * and sixteenths; triplets and quarter notes have no pairs to swing.
+   */
+  get swing() { return this._swing; }
+  set swing(value) {
+    this._swing = Math.min(0.75, Math.max(0.5, Number(value) || 0.5));
+  }
+
+  // Where a subdivision slot falls, as a fraction of the beat (swing applied)
+  slotOffset(subdiv, subdivision = this._subdivision) {
+    if (subdiv >= subdivision) return 1;
+    if (subdivision % 2 !== 0) return subdiv / subdivision;
+
+    const pairLength = 2 / subdivision;
+    const pair       = Math.floor(subdiv / 2);
+    return pair * pairLength + (subdiv % 2) * this._swing * pairLength;
+  }
+
+  /**
+   * The active accent pattern: `beatsPerMeasure` rows of `subdivision`
+   * levels, e.g. [['accent', 'ghost'], ['normal', 'mute'], ...].
+   */
+  get accentPattern() {
+    return this._accentPattern
+      .slice(0, this._beatsPerMeasure)
+      .map(row => row.slice());
+  }
+  set accentPattern(pattern) {
+    if (!Array.isArray(pattern)) return;
+    pattern.forEach((row, beat) => {
+      if (!Array.isArray(row) || !row.length) return;
+      const levels = row.map(level => this.ACCENT_LEVELS.includes(level) ? level : 'normal');
+      // Rows saved under another subdivision are mapped onto the current one
+      this._accentPattern[beat] = this._mapSlots(levels, row.length, this._subdivision, beat);
+    });
+    this._resizeAccentPattern(this._subdivision);
+  }
+
+  accentLevel(beat, subdiv) {
+    const row = this._accentPattern[beat];
+    return (row && row[subdiv]) || 'normal';
+  }
+
+  setAccentLevel(beat, subdiv, level) {
+    if (!this.ACCENT_LEVELS.includes(level)) return;
+    if (beat >= this._beatsPerMeasure || subdiv >= this._subdivision) return;
+    this._accentPattern[beat][subdiv] = level;
+  }
+
+  // Step a slot to the next level (accent → normal → ghost → mute → accent)
+  cycleAccentLevel(beat, subdiv) {
+    const levels = this.ACCENT_LEVELS;
+    const next   = levels[(levels.indexOf(this.accentLevel(beat, subdiv)) + 1) % levels.length];
+    this.setAccentLevel(beat, subdiv, next);
+    return next;
+  }
+
+  /**
+   * The loaded song, or null. Setting one applies its first section right
+   * away; sections then switch on the downbeat after their last bar.
+   */
+  get song() { return this._song; }
+  set song(song) {
+    this._song = song && Array.isArray(song.sections) && song.sections.length
+      ? {
+          name: String(song.name || ''),
+          sections: song.sections.map(section => ({
+            ...section,
+            bars: Math.max(1, Math.floor(section.bars) || 1),
+          })),
+        }
+      : null;
+    this._resetSong();
+  }
+
+  /**
+   * Tempo trainer config, or null when off:
+   *   { startBpm, targetBpm, step, every, unit: 'bars'|'seconds',
+   *     mode: 'step'|'ramp', cycle, dropBack }
+   * 'step' moves `step` BPM towards the target every `every` bars/seconds,
+   * always on a bar line. 'ramp' glides from start to target over `every`
+   * bars/seconds, adjusting the tempo on every click. With `cycle`, reaching
+   * the target drops back `dropBack` BPM (0 = to the start) and climbs again.
+   * Songs set their own tempos, so the trainer sits out while one is loaded.
+   */
+  get trainer() { return this._trainer ? { ...this._trainer } : null; }
+  set trainer(config) {
+    if (!config) {
+      this._trainer = null;
+      this._trainerState = null;
+      return;
+    }
+    const clampBpm = value => Math.min(300, Math.max(20, Number(value) || 120));
+    this._trainer = {
+      startBpm:  clampBpm(config.startBpm),
+      targetBpm: clampBpm(config.targetBpm),
+      step:      Math.max(1, Number(config.step) || 1),
+      every:     Math.max(1, Number(config.every) || 1),
+      unit:      config.unit === 'seconds' ? 'seconds' : 'bars',
+      mode:      config.mode === 'ramp' ? 'ramp' : 'step',
+      cycle:     Boolean(config.cycle),
+      dropBack:  Math.max(0, Number(config.dropBack) || 0),
+    };
+    this._resetTrainer(this.isRunning ? this._nextBeatTime : undefined);
   }
 
-  get isRunning() { return this._intervalId !== null; }
+  /**
+   * Gap-click training config, or null when off:
+   *   { mode: 'fixed'|'random', playBars, silentBars, barChance, beatChance }
+   * 'fixed' plays `playBars` bars then goes silent for `silentBars`, over and
+   * over. 'random' silences each bar with probability `barChance` and each
+   * remaining beat with `beatChance` (0–1). The first bar always plays.
+   */
+  get gap() { return this._gap ? { ...this._gap } : null; }
+  set gap(config) {
+    const chance = value => Math.min(1, Math.max(0, Number(value) || 0));
+    this._gap = config
+      ? {
+          mode:       config.mode === 'random' ? 'random' : 'fixed',
+          playBars:   Math.max(1, Math.floor(config.playBars) || 1),
+          silentBars: Math.max(1, Math.floor(config.silentBars) || 1),
+          barChance:  chance(config.barChance),
+          beatChance: chance(config.beatChance),
+        }
+      : null;
+    this._resetGap();
+  }
+
+  /**
+   * Polyrhythm layers: [{ pulses, sound, pitch, volume, enabled }]. Each
+   * layer divides the bar into `pulses` equal pulses starting on the
+   * downbeat (3 against 4/4 gives 3:4), played on its own `sound` at
+   * `pitch` semitones and `volume` (0–1, relative to the main volume).
+   * A changed or new layer joins on the next downbeat.
+   */
+  get layers() { return this._layers.map(layer => ({ ...layer })); }
+  set layers(layers) {
+    const previous = this._layers;
+    this._layers = (layers || []).map(layer => ({
+      pulses:  Math.min(METER_MAX_BEATS, Math.max(1, Math.floor(layer.pulses) || 1)),
+      sound:   layer.sound ? String(layer.sound) : 'click',
+      pitch:   Math.min(24, Math.max(-24, Number(layer.pitch) || 0)),
+      volume:  Math.min(1, Math.max(0, layer.volume !== undefined ? Number(layer.volume) || 0 : 1)),
+      enabled: layer.enabled !== false,
+    }));
+    // Layers that keep their pulse count carry on mid-bar
+    this._layerState = this._layers.map((layer, i) =>
+      previous[i] && previous[i].pulses === layer.pulses && this._layerState[i]
+        ? this._layerState[i]
+        : { bar: null, pulse: 0 });
+    this._emitChange('layerschange', { layers: this.layers });
+  }
+
+  /**
+   * Count-in config: { bars, voice }. start() plays `bars` (0–4) bars of
+   * the count-in sound in the first section's meter and tempo before the
+   * real first bar; songs, the trainer, gap training and layers begin
+   * after it. `voice` speaks the count — "one, two…" on the beats (up to
+   * twelve) and "and" halfway through beats with an even subdivision:
+   * 'off', 'count-in' (only while counting in) or 'always'.
+   */
+  get countIn() { return { ...this._countIn }; }
+  set countIn(config) {
+    const voices = ['off', 'count-in', 'always'];
+    this._countIn = {
+      bars:  Math.min(4, Math.max(0, Math.floor(config && config.bars) || 0)),
+      voice: config && voices.includes(config.voice) ? config.voice : 'off',
+    };
+    // Render the words now if there's a context, rather than on start
+    if (this._countIn.voice !== 'off' && this._audioCtx) getVoiceBuffers(this._audioCtx);
+  }
+
+  /**
+   * Everything that shapes the click itself, as a plain object that
+   * applySettings() accepts — used to copy a setup onto another instance.
+   */
+  get settings() {
+    return {
+      bpm:           this._bpm,
+      meter:         this.meter,
+      beatUnit:      this._beatUnit,
+      subdivision:   this._subdivision,
+      swing:         this._swing,
+      volume:        this._volume,
+      accentPattern: this.accentPattern,
+      layers:        this.layers,
+    };
+  }
+
+  // Missing keys are left alone. Meter and subdivision go first so the
+  // accent pattern lands on the right grid.
+  applySettings(settings) {
+    if (settings.meter)                     this.meter = settings.meter;
+    if (settings.subdivision !== undefined) this.subdivision = settings.subdivision;
+    if (settings.beatUnit)                  this.beatUnit = settings.beatUnit;
+    if (settings.swing !== undefined)       this.swing = settings.swing;
+    if (settings.bpm !== undefined)         this.bpm = settings.bpm;
+    if (settings.volume !== undefined)      this.volume = settings.volume;
+    if (settings.accentPattern)             this.accentPattern = settings.accentPattern;
+    if (settings.layers)                    this.layers = settings.layers;
+  }
+
+  /**
+   * Render `bars` bars of the current setup into an AudioBuffer, offline.
+   * A second Metronome with the same settings and sounds runs the normal
+   * _scheduleClick / _advanceBeat path against an OfflineAudioContext, so
+   * the file matches live playback click for click. Songs, the trainer and
+   * gap training are live-only and not included.
+   */
+  renderOffline(bars, sampleRate = 44100) {
+    const renderer = new Metronome();
+    renderer.applySettings(this.settings);
+    renderer.sounds = this.sounds;
+    renderer._offline = true;
+
+    const barDuration = renderer._beatDuration() * renderer._beatsPerMeasure;
+    const duration    = Math.max(1, Math.round(bars)) * barDuration;
+    const OAC = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    renderer._audioCtx = new OAC(1, Math.ceil(duration * sampleRate), sampleRate);
+
+    // The whole file is one big lookahead window starting at 0
+    renderer._nextBeatTime = 0;
+    renderer._scheduleUntil(duration - 1e-6);
+    return renderer._audioCtx.startRendering();
+  }
+
+  /**
+   * Extra delay, in seconds, between a click reaching the output and it
+   * being heard — e.g. Bluetooth headphones that under-report their
+   * latency. Measured by tapping along (calibration.js); visual events are
+   * held back by this much on top of the context's own output latency.
+   */
+  get visualOffset() { return this._visualOffset; }
+  set visualOffset(value) {
+    this._visualOffset = Math.min(0.5, Math.max(-0.5, Number(value) || 0));
+  }
+
+  // performance.now() time at which AudioContext time `time` comes out of
+  // the speakers. Uses the output timestamp where the browser has one.
+  audioTimeToPerformance(time) {
+    const ctx = this._audioCtx;
+    if (!ctx) return performance.now();
+    const stamp = ctx.getOutputTimestamp ? ctx.getOutputTimestamp() : null;
+    if (stamp && stamp.performanceTime > 0) {
+      return stamp.performanceTime + (time - stamp.contextTime) * 1000;
+    }
+    const latency = ctx.outputLatency || ctx.baseLatency || 0;
+    return performance.now() + (time - ctx.currentTime + latency) * 1000;
+  }
+
+  // The AudioContext time coming out of the speakers at performance time `ms`
+  performanceToAudioTime(ms) {
+    const ctx = this._audioCtx;
+    if (!ctx) return 0;
+    return ctx.currentTime + (ms - this.audioTimeToPerformance(ctx.currentTime)) / 1000;
+  }
+
+  // The AudioContext time of what the user should be seeing right now
+  get visualTime() {
+    return this.performanceToAudioTime(performance.now()) - this._visualOffset;
+  }
+
+  /**
+   * The scheduled click nearest AudioContext time `time`, from the last few
+   * seconds and the lookahead, as { time, bar, beat, subdiv, duration,
+   * level, silent, countIn, offset } where `duration` is the beat's length
+   * and `offset` is `time` minus the click's time (positive = late). With
+   * `beatsOnly`, subdivisions are skipped. null if nothing is logged.
+   */
+  nearestClick(time, { beatsOnly = false } = {}) {
+    let nearest = null;
+    this._clickLog.forEach(click => {
+      if (beatsOnly && click.subdiv !== 0) return;
+      if (!nearest || Math.abs(time - click.time) < Math.abs(time - nearest.time)) nearest = click;
+    });
+    return nearest && { ...nearest, offset: time - nearest.time };
+  }
+
+  /**
+   * Follow an external clock: `time` is the AudioContext time of one of
+   * its beats and `bpm` its tempo, taken as is rather than rounded. Clicks
+   * not scheduled yet move onto that beat's grid, keeping their place in
+   * the bar; a correction that would land in the past waits for the next
+   * call.
+   */
+  followBeat(time, bpm) {
+    this._setTempo(bpm);
+    if (!this.isRunning || !Number.isFinite(this._nextBeatTime)) return;
+    const duration = this._beatDuration();
+    const offset   = this.slotOffset(this._currentSubdiv, this._beatSlots) * this._beatLength;
+    const beats    = Math.round((this._nextBeatTime - offset - time) / duration);
+    const target   = time + beats * duration + offset;
+    if (target >= this._audioCtx.currentTime) this._nextBeatTime = target;
+  }
+
+  /**
+   * Catch up with the audio clock after a stall — a frozen tab, a suspended
+   * or interrupted context: if the next click is already overdue, playback
+   * carries on from now, keeping its place in the bar, instead of rushing
+   * through the clicks it missed. The scheduler checks on every pass;
+   * calling it after resuming the context just doesn't wait for the next.
+   */
+  resync() {
+    if (!this.isRunning) return;
+    const ctx = this._audioCtx;
+    if (this._nextBeatTime < ctx.currentTime - this.MAX_LATE) {
+      this._nextBeatTime = ctx.currentTime + (ctx.baseLatency || 0.01);
+    }
+  }
+
+  /**
+   * Get the AudioContext ready to play: made on first use, and resumed if
+   * the browser suspended it (autoplay rules, iOS after a lock or a call),
+   * then resync()ed. Await it before start() so the first beat is scheduled
+   * against a running clock.
+   */
+  async resume() {
+    const ctx = this.audioContext;
+    if (ctx.state === 'suspended' || ctx.state === 'interrupted') await ctx.resume();
+    this.resync();
+  }
+
+  // The AudioContext clicks are scheduled on, made on first use
+  get audioContext() {
+    this._ensureAudioContext();
+    return this._audioCtx;
+  }
+
+  get isRunning() { return this._running; }
 
   start() {
     if (this.isRunning) return;
@@ -73,23 +562,40 @@ class Metronome {
     const ctx = this._audioCtx;
     // Safari/iOS may suspend the context until triggered by a user gesture
     if (ctx.state === 'suspended') ctx.resume();
+    // Render the spoken words (a few hundred ms, once per context) before
+    // the start time is taken, so the first beats aren't already late
+    if (this._countIn.voice !== 'off') getVoiceBuffers(ctx);
 
     this._currentBeat   = 0;
     this._currentSubdiv = 0;
+    this._downbeatNext  = false;
+    this._countInLeft   = this._countIn.bars;
+    this._bar           = -this._countInLeft;
+    this._clickLog      = [];
+    this._resetSong();
     // Use the context's own hardware latency as the offset so the first beat
     // is scheduled just far enough in the future to be played without being
     // dropped, with no perceptible delay.
     this._nextBeatTime  = ctx.currentTime + (ctx.baseLatency || 0.01);
+    this._resetTrainer(this._nextBeatTime);
+    this._resetGap();
+    this._resetLayers();
+    const time = this._nextBeatTime;
+    this._running = true;
     this._schedule(); // schedule immediately so the first beat is never missed
-    this._intervalId    = setInterval(() => this._schedule(), this.LOOKAHEAD_INTERVAL);
-    if (this.onStart) this.onStart();
+    this._startTicks();
+    this._startFrames();
+    this._emit('start', { time, bar: this._bar, beat: 0 });
   }
 
   stop() {
     if (!this.isRunning) return;
-    clearInterval(this._intervalId);
-    this._intervalId = null;
-    if (this.onStop) this.onStop();
+    this._running = false;
+    this._stopTicks();
+    cancelAnimationFrame(this._frameId);
+    this._frameId    = null;
+    this._eventQueue = []; // nothing still to come is shown after a stop
+    this._emit('stop', { time: this._audioCtx.currentTime, bar: this._bar, beat: this._currentBeat });
   }
 
   // ─── Internal ─────────────────────────────────────────────────────────────
@@ -99,63 +605,501 @@ class Metronome {
       // webkitAudioContext for older Safari
       const AC = window.AudioContext || window.webkitAudioContext;
       this._audioCtx = new AC();
+      // Back from suspended / interrupted (a call, a locked screen)
+      this._audioCtx.addEventListener('statechange', () => {
+        if (this._audioCtx.state === 'running') this.resync();
+      });
     }
   }
 
+  // Scheduler ticks come from a Worker when one can be made from a Blob URL
+  _startTicks() {
+    if (this._worker === null) this._worker = this._createWorker();
+    if (this._worker) {
+      // A tick posted just before stop() can still arrive after it
+      this._worker.onmessage = () => { if (this.isRunning) this._schedule(); };
+      this._worker.postMessage({ interval: this.LOOKAHEAD_INTERVAL });
+    } else {
+      this._intervalId = setInterval(() => this._schedule(), this.LOOKAHEAD_INTERVAL);
+    }
+  }
+
+  _stopTicks() {
+    if (this._worker) this._worker.postMessage({ interval: 0 });
+    clearInterval(this._intervalId);
+    this._intervalId = null;
+  }
+
+  _createWorker() {
+    if (typeof Worker === 'undefined') return false;
+    const url = URL.createObjectURL(new Blob([SCHEDULER_WORKER], { type: 'application/javascript' }));
+    try {
+      const worker = new Worker(url);
+      // If it fails to load or run, carry on from setInterval
+      worker.onerror = (e) => {
+        e.preventDefault();
+        console.warn('Scheduler worker failed, using setInterval:', e.message);
+        worker.terminate();
+        this._worker = false;
+        if (this.isRunning) this._startTicks();
+      };
+      return worker;
+    } catch (e) {
+      console.warn('Scheduler worker unavailable, using setInterval:', e);
+      return false;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  _defaultAccentLevel(beat, subdiv) {
+    return beat === 0 && subdiv === 0 ? 'accent' : 'normal';
+  }
+
+  // Map one beat's levels from `fromSubdiv` slots onto `toSubdiv` slots.
+  // Slots that land on the same point in the beat keep their level (the beat
+  // itself always does, as do e.g. the "and" of eighths ↔ sixteenths).
+  _mapSlots(row, fromSubdiv, toSubdiv, beat) {
+    const mapped = [];
+    for (let slot = 0; slot < toSubdiv; slot++) {
+      const source = slot * fromSubdiv / toSubdiv;
+      mapped.push(Number.isInteger(source) && row[source]
+        ? row[source]
+        : this._defaultAccentLevel(beat, slot));
+    }
+    return mapped;
+  }
+
+  _resizeAccentPattern(previousSubdiv) {
+    const pattern = this._accentPattern;
+    for (let beat = 0; beat < pattern.length; beat++) {
+      if (pattern[beat].length !== this._subdivision) {
+        pattern[beat] = this._mapSlots(pattern[beat], previousSubdiv, this._subdivision, beat);
+      }
+    }
+    for (let beat = pattern.length; beat < this._beatsPerMeasure; beat++) {
+      pattern.push(this._mapSlots([], 1, this._subdivision, beat));
+    }
+  }
+
+  _buildBeatGroups() {
+    const groups = this._meter.grouping || [this._beatsPerMeasure];
+    this._beatGroups = [];
+    groups.forEach((size, group) => {
+      for (let position = 0; position < size; position++) {
+        this._beatGroups.push({ group, position, size });
+      }
+    });
+  }
+
+  // Seconds per counted note. With a dotted beat unit BPM counts dotted
+  // pulses (e.g. dotted quarters in 6/8), so each note is a third of that.
+  _beatDuration() {
+    return (60 / this._bpm) / (this._beatUnit === 'dotted' ? 3 : 1);
+  }
+
+  // Call fn once AudioContext time `time` is heard (see _flushEvents)
+  _fireAt(time, fn) {
+    if (this._offline) return null;
+    const queue = this._eventQueue;
+    const entry = { time, fn };
+    // Usually appended; layer pulses can land between queued clicks
+    let i = queue.length;
+    while (i > 0 && queue[i - 1].time > time) i--;
+    queue.splice(i, 0, entry);
+    return entry;
+  }
+
+  // Run whatever has come due. Called every animation frame, and from the
+  // scheduler tick so a background tab (no frames) still gets its events.
+  // A handler may stop() the metronome, which empties the queue.
+  _flushEvents() {
+    const queue = this._eventQueue;
+    if (!queue.length) return;
+    const now = this.visualTime;
+    while (queue.length && queue[0].time <= now) queue.shift().fn();
+  }
+
+  _startFrames() {
+    const frame = () => {
+      this._flushEvents();
+      this._frameId = requestAnimationFrame(frame);
+    };
+    this._frameId = requestAnimationFrame(frame);
+  }
+
+  _emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  // Dispatch at the moment `detail.time` is heard
+  _emitAt(type, detail) {
+    return this._fireAt(detail.time, () => this._emit(type, detail));
+  }
+
+  _now() {
+    return this._audioCtx ? this._audioCtx.currentTime : 0;
+  }
+
+  // Run fn with the events of any setters it calls held back until `time`,
+  // for changes the scheduler makes ahead of when they're heard
+  _changesAt(time, fn) {
+    this._changeTime = time;
+    try {
+      fn();
+    } finally {
+      this._changeTime = null;
+    }
+  }
+
+  // Dispatch a setter's change event now, or when it's heard (see _changesAt)
+  _emitChange(type, detail) {
+    if (this._changeTime === null) {
+      this._emit(type, { time: this._now(), bar: this._bar, beat: this._currentBeat, ...detail });
+    } else {
+      this._emitAt(type, { time: this._changeTime, bar: this._bar, beat: 0, ...detail });
+    }
+  }
+
+  _meterChanged() {
+    this._emitChange('meterchange', { meter: this.meter, beatUnit: this._beatUnit, subdivision: this._subdivision });
+  }
+
+  _resetSong() {
+    this._sectionIndex = 0;
+    this._barInSection = 0;
+    if (this._song) this._applySection(this._song.sections[0]);
+  }
+
+  // While running, the section's change events fire on its first downbeat
+  _applySection(section) {
+    const apply = () => {
+      if (section.bpm)         this.bpm = section.bpm;
+      if (section.meter)       this.meter = section.meter;
+      if (section.beatUnit)    this.beatUnit = section.beatUnit;
+      if (section.subdivision) this.subdivision = section.subdivision;
+    };
+    if (this.isRunning) this._changesAt(this._nextBeatTime, apply);
+    else apply();
+  }
+
+  // Called as the scheduler crosses into a new bar, before its downbeat is
+  // scheduled — so anything changed here lands exactly on that downbeat.
+  _startBar() {
+    this._bar++;
+    if (this._countInLeft > 0) {
+      this._countInLeft--;
+      // The real first bar: the trainer's clock starts on its downbeat
+      if (this._countInLeft === 0 && this._trainerState) this._trainerState.since = this._nextBeatTime;
+      return;
+    }
+    if (this._song) this._advanceSong();
+    else if (this._trainer) this._trainerBar(this._nextBeatTime);
+    if (this._gap) this._gapBar();
+  }
+
+  _resetGap() {
+    this._gapState = { bar: 0, barSilent: false, beatSilent: false };
+  }
+
+  _gapBar() {
+    const gap   = this._gap;
+    const state = this._gapState;
+    state.bar++;
+    state.barSilent = gap.mode === 'fixed'
+      ? state.bar % (gap.playBars + gap.silentBars) >= gap.playBars
+      : Math.random() < gap.barChance;
+  }
+
+  // Whether gap training silences this click. Beat drops are rolled on the
+  // beat and carry over to its subdivisions.
+  _gapSilences(subdiv) {
+    if (!this._gap) return false;
+    const state = this._gapState;
+    if (subdiv === 0) {
+      state.beatSilent = this._gap.mode === 'random'
+        && state.bar > 0
+        && Math.random() < this._gap.beatChance;
+    }
+    return state.barSilent || state.beatSilent;
+  }
+
+  _resetLayers() {
+    this._lastBar    = null;
+    this._layerState = this._layers.map(() => ({ bar: null, pulse: 0 }));
+  }
+
+  // Add the bar starting at `time` to the queue the layers play against.
+  // Its length is fixed now, so a smooth trainer ramp can drift the layers
+  // slightly within the bar; they realign on every downbeat.
+  _queueBar(time) {
+    const bar = {
+      index:    this._bar,
+      start:    time,
+      duration: this._beatDuration() * this._beatsPerMeasure,
+      silent:   this._gapState.barSilent,
+      next:     null,
+    };
+    if (this._lastBar) this._lastBar.next = bar;
+    this._lastBar = bar;
+    // Layers waiting to join start on this bar
+    this._layerState.forEach(state => {
+      if (!state.bar) state.bar = bar;
+    });
+    return bar;
+  }
+
+  _scheduleLayers(scheduleUntil) {
+    this._layers.forEach((layer, index) => {
+      const state = this._layerState[index];
+      while (state.bar) {
+        if (state.pulse >= layer.pulses) {
+          if (!state.bar.next) break; // next bar isn't scheduled yet
+          state.bar   = state.bar.next;
+          state.pulse = 0;
+        }
+        const { start, duration } = state.bar;
+        const time = start + state.pulse * duration / layer.pulses;
+        if (time >= scheduleUntil) break;
+        if (layer.enabled) this._scheduleLayerPulse(layer, index, state.pulse, state.bar, time);
+        state.pulse++;
+      }
+    });
+  }
+
+  _scheduleLayerPulse(layer, index, pulse, bar, time) {
+    const ctx = this._audioCtx;
+    if (!bar.silent && layer.volume > 0 && !this._muted) {
+      this.sounds.playVoice(ctx, ctx.destination, layer.sound, time, this._volume * layer.volume, layer.pitch);
+    }
+    this._emitAt('pulse', { time, bar: bar.index, layer: index, pulse, silent: bar.silent });
+  }
+
+  // Tempo without the integer rounding of the public setter, so ramps stay
+  // smooth. With a `time` the change is announced when that click is heard,
+  // otherwise straight away (or as set up by _changesAt).
+  _setTempo(bpm, time) {
+    if (!Number.isFinite(bpm)) return; // e.g. a hand-edited preset's "fast"
+    const previous = this._bpm;
+    this._bpm = Math.min(300, Math.max(20, bpm));
+    // Ramps move in fractions of a BPM; only announce whole-BPM steps
+    if (Math.round(previous) === Math.round(this._bpm)) return;
+
+    if (time === undefined) this._emitChange('tempochange', { bpm: this._bpm });
+    else this._emitAt('tempochange', { time, bar: this._bar, beat: this._currentBeat, bpm: this._bpm });
+  }
+
+  // `time` is when the start tempo is heard; without one it applies now
+  _resetTrainer(time) {
+    if (!this._trainer) return;
+    this._trainerState = { bars: 0, since: time !== undefined ? time : this._now(), from: this._trainer.startBpm };
+    if (!this._song) this._setTempo(this._trainer.startBpm, time);
+  }
+
+  // Where the trainer climbs back to after reaching the target (cycle mode)
+  _trainerDropBack() {
+    const { startBpm, targetBpm, dropBack } = this._trainer;
+    if (!dropBack) return startBpm;
+    const direction = Math.sign(targetBpm - startBpm);
+    // Never drop back past the start
+    return direction >= 0 ? Math.max(startBpm, targetBpm - dropBack) : Math.min(startBpm, targetBpm + dropBack);
+  }
+
+  _trainerBar(time) {
+    const trainer = this._trainer;
+    const state   = this._trainerState;
+    state.bars++;
+    if (trainer.mode !== 'step') return;
+
+    const due = trainer.unit === 'bars'
+      ? state.bars >= trainer.every
+      : time - state.since >= trainer.every;
+    if (!due) return;
+    state.bars  = 0;
+    state.since = time;
+
+    const { targetBpm, step, cycle } = trainer;
+    const direction = Math.sign(targetBpm - trainer.startBpm);
+    const reached   = direction >= 0 ? this._bpm >= targetBpm : this._bpm <= targetBpm;
+
+    if (reached) {
+      if (cycle) this._setTempo(this._trainerDropBack(), time);
+      return;
+    }
+    const next = this._bpm + direction * step;
+    this._setTempo(direction >= 0 ? Math.min(next, targetBpm) : Math.max(next, targetBpm), time);
+  }
+
+  // Smooth ramp: set the tempo for the click at `time` from how far through
+  // the ramp it falls
+  _trainerRamp(time) {
+    const trainer = this._trainer;
+    const state   = this._trainerState;
+
+    const barFraction = (this._currentBeat + this._currentSubdiv / this._beatSlots) / this._beatsPerMeasure;
+    let progress = trainer.unit === 'bars'
+      ? (state.bars + barFraction) / trainer.every
+      : (time - state.since) / trainer.every;
+
+    if (progress >= 1 && trainer.cycle) {
+      state.from  = this._trainerDropBack();
+      state.bars  = -barFraction; // the ramp restarts from this click
+      state.since = time;
+      progress    = 0;
+    }
+    progress = Math.min(1, progress);
+    this._setTempo(state.from + (trainer.targetBpm - state.from) * progress, time);
+  }
+
+  _advanceSong() {
+    const sections = this._song.sections;
+    this._barInSection++;
+    if (this._barInSection < sections[this._sectionIndex].bars) return;
+
+    if (this._sectionIndex + 1 < sections.length) {
+      this._sectionIndex++;
+      this._barInSection = 0;
+      this._applySection(sections[this._sectionIndex]);
+    } else {
+      // Last bar done: schedule nothing more, and stop once it has sounded
+      const time = this._nextBeatTime;
+      this._fireAt(time, () => {
+        this.stop();
+        this._resetSong();
+        this._emit('songend', { time, bar: this._bar, beat: 0 });
+      });
+      this._nextBeatTime = Infinity;
+    }
+  }
+
+  _songProgress() {
+    const section = this._song.sections[this._sectionIndex];
+    return {
+      index:    this._sectionIndex,
+      section,
+      bar:      this._barInSection + 1,
+      bars:     section.bars,
+      barsLeft: section.bars - this._barInSection,
+    };
+  }
+
   _schedule() {
-    const ctx           = this._audioCtx;
-    const scheduleUntil = ctx.currentTime + this.SCHEDULE_AHEAD_TIME;
+    this.resync();
+    const until = this._audioCtx.currentTime + this.SCHEDULE_AHEAD_TIME;
+    const log   = this._clickLog;
+    const last  = log[log.length - 1];
+    this._scheduleUntil(until);
 
+    // The clicks added to the log by this pass
+    let first = log.length;
+    while (first > 0 && log[first - 1] !== last) first--;
+    this._emit('schedule', { time: this._audioCtx.currentTime, bar: this._bar, beat: this._currentBeat,
+                             until, clicks: log.slice(first) });
+    this._flushEvents();
+  }
+
+  _scheduleUntil(scheduleUntil) {
     while (this._nextBeatTime < scheduleUntil) {
+      if (this._currentSubdiv === 0) this._startBeat();
       this._scheduleClick(this._currentBeat, this._currentSubdiv, this._nextBeatTime);
       this._advanceBeat();
     }
+    this._scheduleLayers(scheduleUntil);
   }
 
   _scheduleClick(beat, subdiv, time) {
-    const ctx      = this._audioCtx;
-    const isAccent = beat === 0 && subdiv === 0;
-    const isBeat   = subdiv === 0;
+    const ctx    = this._audioCtx;
+    const level  = this.accentLevel(beat, subdiv);
+    const isBeat = subdiv === 0;
+    const countIn = this._countInLeft > 0;
+    const silent = !countIn && this._gapSilences(subdiv);
+    const info   = { ...this.groupOf(beat), silent };
+    // The first beat of every additive group after the first gets a secondary accent
+    const isGroupStart = isBeat && beat !== 0 && info.position === 0 && this._meter.grouping !== null;
 
-    // Accent: 1500 Hz | beat: 1000 Hz | subdivision: 600 Hz
-    let freq;
-    if (isAccent)      freq = this.FREQ_ACCENT;
-    else if (isBeat)   freq = this.FREQ_NORMAL;
-    else               freq = 600;
+    const bar = this._bar;
+    this._logClick({ time, bar, beat, subdiv, duration: this._beatLength, level, silent, countIn });
+    if (isBeat && beat === 0) {
+      // Layers wait for the real first bar
+      const duration = countIn
+        ? this._beatDuration() * this._beatsPerMeasure
+        : this._queueBar(time).duration;
+      this._emitAt('bar', { time, bar, beat, duration, countIn });
+      // Song position is captured now, while it matches this downbeat
+      if (this._song && !countIn) this._emitAt('songprogress', { time, bar, beat, progress: this._songProgress() });
+    }
 
-    // Subdivisions are quieter so they don't overwhelm the beat clicks
-    const subdivVolume = isBeat ? this._volume : this._volume * 0.45;
+    if (countIn) {
+      // Beats only, on their own sound, ignoring the accent pattern
+      if (isBeat && !this._muted) {
+        this.sounds.play(ctx, ctx.destination, 'countIn', time, this._volume, beat === 0 ? this.COUNT_IN_TRANSPOSE : 0);
+      }
+    } else if (level !== 'mute' && !silent && !this._muted) {
+      // A muted or gapped slot still counts — only the sound is skipped
+      // Accent role | accent role, a little lower, for group starts | beat | subdivision
+      let role = isBeat ? 'beat' : 'subdivision';
+      let transpose = 0;
+      if (level === 'accent') role = 'accent';
+      else if (isGroupStart) {
+        role = 'accent';
+        transpose = this.GROUP_TRANSPOSE;
+      }
 
-    const osc = ctx.createOscillator();
-    osc.type = 'sine';
-    osc.frequency.value = freq;
+      // Subdivisions are quieter so they don't overwhelm the beat clicks
+      let clickVolume = isBeat || level === 'accent' ? this._volume : this._volume * this.SUBDIV_GAIN;
+      if (level === 'ghost') clickVolume *= this.GHOST_GAIN;
 
-    const gain = ctx.createGain();
-    const vol = Math.max(subdivVolume, 0.0001);
-    gain.gain.setValueAtTime(vol, time);
-    gain.gain.exponentialRampToValueAtTime(0.0001, time + this.CLICK_DURATION);
+      this.sounds.play(ctx, ctx.destination, role, time, clickVolume, transpose);
+    }
 
-    osc.connect(gain);
-    gain.connect(ctx.destination);
+    const { voice } = this._countIn;
+    if (!silent && !this._muted && (voice === 'always' || (voice === 'count-in' && countIn))) {
+      const word = this._countWord(beat, subdiv);
+      if (word) speak(ctx, ctx.destination, word, time, this._volume * this.VOICE_GAIN);
+    }
 
-    osc.start(time);
-    osc.stop(time + this.CLICK_DURATION);
+    // Tell listeners at the right wall-clock moment
+    if (isBeat) this._emitAt('beat', { time, bar, beat, subdiv, duration: this._beatLength, countIn, ...info });
+    this._emitAt('subdivision', { time, bar, beat, subdiv, level, silent, countIn });
+  }
 
-    // Fire the UI callback at the right wall-clock moment (beat clicks only)
-    if (subdiv === 0) {
-      const delayMs = Math.max(0, (time - ctx.currentTime) * 1000);
-      setTimeout(() => {
-        if (this.onBeat) this.onBeat(beat);
-      }, delayMs);
-    }
+  _logClick(click) {
+    const log = this._clickLog;
+    log.push(click);
+    while (log.length && log[0].time < click.time - this.CLICK_LOG_SECONDS) log.shift();
+  }
+
+  // What the voice says on this slot: the beat number, "and" halfway
+  // through an evenly subdivided beat (as it started — see _startBeat),
+  // otherwise nothing
+  _countWord(beat, subdiv) {
+    if (subdiv === 0) return voiceNumber(beat);
+    const slots = this._beatSlots;
+    return slots % 2 === 0 && subdiv === slots / 2 ? 'and' : null;
   }
 
   _advanceBeat() {
-    // Each tick is one subdivision; advance beat counter on each full beat
-    this._nextBeatTime  += (60 / this._bpm) / this._subdivision;
-    this._currentSubdiv  = (this._currentSubdiv + 1) % this._subdivision;
+    if (this._trainer && this._trainer.mode === 'ramp' && !this._song && !this._countInLeft) {
+      this._trainerRamp(this._nextBeatTime);
+    }
+
+    // Each tick is one subdivision; advance beat counter on each full beat.
+    // Slots are spaced by their (possibly swung) offsets within the beat.
+    const slots = this._beatSlots;
+    const gap   = this.slotOffset(this._currentSubdiv + 1, slots) - this.slotOffset(this._currentSubdiv, slots);
+    this._nextBeatTime  += this._beatLength * gap;
+    this._currentSubdiv  = (this._currentSubdiv + 1) % slots;
     if (this._currentSubdiv === 0) {
-      this._currentBeat = (this._currentBeat + 1) % this._beatsPerMeasure;
+      this._currentBeat  = this._downbeatNext ? 0 : (this._currentBeat + 1) % this._beatsPerMeasure;
+      this._downbeatNext = false;
+      if (this._currentBeat === 0) this._startBar();
     }
   }
+
+  // Called as each beat's first click is scheduled: the subdivision and
+  // tempo it starts with last until its end
+  _startBeat() {
+    this._beatSlots  = this._subdivision;
+    this._beatLength = this._beatDuration();
+  }
 }
@@ -0,0 +1,129 @@
+/**
+ * midi-panel.js — MIDI settings: ports, clock out / follow, beat note.
+ *
+ * Asks for Web MIDI access when the user enables it (or on load, if MIDI
+ * was left on last time), lists the ports — keeping the lists current as
+ * devices come and go — and hands the chosen ones to a MidiSync (midi.js),
+ * which does the timing.
+ *
+ * Call initMidiPanel(metronome) from main.js after initUI(metronome).
+ */
+
+function initMidiPanel(metronome) {
+  const sync = new MidiSync(metronome);
+
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const enableBtn    = document.getElementById('midi-enable');
+  const statusEl     = document.getElementById('midi-status');
+  const modeSelect   = document.getElementById('midi-mode');
+  const outputSelect = document.getElementById('midi-output');
+  const inputSelect  = document.getElementById('midi-input');
+  const startSelect  = document.getElementById('midi-start');
+  const noteCheckbox = document.getElementById('midi-note-on');
+  const channelInput = document.getElementById('midi-channel');
+  const noteInput    = document.getElementById('midi-note');
+
+  let access = null;
+  let saved  = {}; // port names to pick once access is granted
+
+  // ─── Helpers ───────────────────────────────────────────────────────────────
+
+  function clampInput(input, min, max) {
+    const value = Math.round(Number(input.value));
+    input.value = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : min;
+    return Number(input.value);
+  }
+
+  function save() {
+    localStorage.setItem('midi', JSON.stringify({
+      mode:     modeSelect.value,
+      output:   outputSelect.selectedOptions[0] ? outputSelect.selectedOptions[0].textContent : saved.output,
+      input:    inputSelect.selectedOptions[0] ? inputSelect.selectedOptions[0].textContent : saved.input,
+      start:    startSelect.value,
+      beatNote: noteCheckbox.checked,
+      channel:  Number(channelInput.value),
+      note:     Number(noteInput.value),
+    }));
+  }
+
+  // Fill `select` with `ports`, keeping the chosen one (by name) if it's still there
+  function fillPorts(select, ports, name) {
+    const current = select.selectedOptions[0] ? select.selectedOptions[0].textContent : name;
+    select.replaceChildren(...[...ports.values()].map(port => {
+      const option = document.createElement('option');
+      option.value = port.id;
+      option.textContent = port.name;
+      return option;
+    }));
+    const match = [...select.options].find(option => option.textContent === current);
+    if (match) select.value = match.value;
+    select.disabled = select.options.length === 0;
+  }
+
+  function apply() {
+    sync.mode         = modeSelect.value;
+    sync.startMessage = startSelect.value;
+    sync.beatNote     = noteCheckbox.checked
+      ? { channel: clampInput(channelInput, 1, 16), note: clampInput(noteInput, 0, 127) }
+      : null;
+    sync.output = access && sync.mode === 'send' ? access.outputs.get(outputSelect.value) || null : null;
+    sync.input  = access && sync.mode === 'follow' ? access.inputs.get(inputSelect.value) || null : null;
+
+    [channelInput, noteInput].forEach(el => { el.disabled = !noteCheckbox.checked; });
+    outputSelect.closest('.panel-row').hidden = sync.mode !== 'send';
+    inputSelect.closest('.panel-row').hidden  = sync.mode !== 'follow';
+  }
+
+  function refreshPorts() {
+    fillPorts(outputSelect, access.outputs, saved.output);
+    fillPorts(inputSelect, access.inputs, saved.input);
+    apply();
+  }
+
+  async function enable() {
+    if (!navigator.requestMIDIAccess) {
+      statusEl.textContent = "This browser doesn't support Web MIDI";
+      return;
+    }
+    enableBtn.disabled = true;
+    try {
+      access = await navigator.requestMIDIAccess();
+    } catch (e) {
+      console.warn('MIDI unavailable:', e);
+      statusEl.textContent = 'MIDI access was refused';
+      enableBtn.disabled = false;
+      return;
+    }
+    access.onstatechange = refreshPorts;
+    enableBtn.hidden = true;
+    statusEl.textContent = '';
+    refreshPorts();
+  }
+
+  // ─── Events ────────────────────────────────────────────────────────────────
+
+  enableBtn.addEventListener('click', enable);
+
+  [modeSelect, outputSelect, inputSelect, startSelect, noteCheckbox, channelInput, noteInput].forEach(el => {
+    el.addEventListener('change', () => {
+      apply();
+      save();
+    });
+  });
+
+  // ─── localStorage — restore saved state ────────────────────────────────────
+
+  try {
+    saved = JSON.parse(localStorage.getItem('midi')) || {};
+    if (['off', 'send', 'follow'].includes(saved.mode)) modeSelect.value = saved.mode;
+    if (saved.start === 'start' || saved.start === 'continue') startSelect.value = saved.start;
+    noteCheckbox.checked = Boolean(saved.beatNote);
+    if (saved.channel) channelInput.value = saved.channel;
+    if (saved.note !== undefined) noteInput.value = saved.note;
+  } catch (e) {
+    console.warn('Ignoring invalid saved MIDI settings:', e);
+    saved = {};
+  }
+  apply();
+  if (modeSelect.value !== 'off') enable();
+}
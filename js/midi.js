@@ -0,0 +1,171 @@
+/**
+ * midi.js — MIDI clock out, and following an external MIDI clock.
+ *
+ * Sending, MidiSync works from the Metronome's `schedule` event, so clock
+ * ticks (24 per quarter note), Start / Continue / Stop and the optional
+ * note per beat are timestamped from the same lookahead pass as the audio
+ * clicks and land with them rather than with a timer. Start goes out on
+ * the first downbeat after any count-in.
+ *
+ * Following, incoming clock sets the tempo (averaged over the last beat's
+ * worth of ticks) and the beat phase, and Start / Continue / Stop start and
+ * stop the metronome.
+ *
+ * Ports are anything shaped like the Web MIDI ones, so a fake can stand in:
+ *   output — { send(data, timestamp), clear() }, timestamp in performance.now()
+ *            ms; clear() (dropping what's queued) is optional
+ *   input  — an object whose `onmidimessage` is called with { data, timeStamp }
+ */
+
+const MIDI_CLOCK    = 0xF8;
+const MIDI_START    = 0xFA;
+const MIDI_CONTINUE = 0xFB;
+const MIDI_STOP     = 0xFC;
+const MIDI_NOTE_ON  = 0x90;
+const MIDI_NOTE_OFF = 0x80;
+
+const MIDI_PPQN = 24; // clock ticks per quarter note
+
+class MidiSync {
+  constructor(metronome) {
+    this.metronome    = metronome;
+    this.output       = null;
+    this.mode         = 'off';   // 'off' | 'send' | 'follow'
+    this.startMessage = 'start'; // what's sent on starting: 'start' | 'continue'
+    this.beatNote     = null;    // { channel: 1–16, note: 0–127 }, or null for none
+    this.NOTE_LENGTH  = 0.05;    // seconds before a beat note's note-off
+    this.FOLLOW_TICKS = MIDI_PPQN; // incoming ticks the tempo is averaged over
+
+    this._input = null;
+    this._resetSend();
+    this._resetFollow();
+
+    metronome.addEventListener('schedule', (e) => this._onSchedule(e.detail));
+    metronome.addEventListener('stop', () => this._onStop());
+  }
+
+  get input() { return this._input; }
+  set input(port) {
+    if (this._input) this._input.onmidimessage = null;
+    this._input = port || null;
+    if (this._input) this._input.onmidimessage = (e) => this._onMessage(e);
+    this._resetFollow();
+  }
+
+  // Clock ticks per counted note: 24 for quarters, 12 for eighths in 6/8
+  get ticksPerBeat() {
+    return MIDI_PPQN * 4 / this.metronome.meter.denominator;
+  }
+
+  // ─── Sending ───────────────────────────────────────────────────────────────
+
+  _resetSend() {
+    this._started  = false;
+    this._clock    = null; // the beat ticks are going out for: { time, interval, count, next }
+    this._lastSent = 0;    // AudioContext time of the latest message queued
+  }
+
+  _send(data, time) {
+    this.output.send(data, this.metronome.audioTimeToPerformance(time));
+    this._lastSent = Math.max(this._lastSent, time);
+  }
+
+  // Send the current beat's ticks that fall before `limit`
+  _sendTicks(limit) {
+    const clock = this._clock;
+    if (!clock) return;
+    while (clock.next < clock.count && clock.time + clock.next * clock.interval < limit) {
+      this._send([MIDI_CLOCK], clock.time + clock.next * clock.interval);
+      clock.next++;
+    }
+  }
+
+  _onSchedule({ until, clicks }) {
+    if (this.mode !== 'send' || !this.output) return;
+    clicks.forEach(click => {
+      if (click.subdiv !== 0) return;
+      // The clock runs from the first real downbeat
+      if (!click.countIn && (this._started || click.beat === 0)) {
+        this._sendTicks(click.time);
+        if (!this._started) {
+          this._send([this.startMessage === 'continue' ? MIDI_CONTINUE : MIDI_START], click.time);
+          this._started = true;
+        }
+        const count = this.ticksPerBeat;
+        this._clock = { time: click.time, interval: click.duration / count, count, next: 0 };
+      }
+      this._sendBeatNote(click);
+    });
+    this._sendTicks(until);
+  }
+
+  _sendBeatNote(click) {
+    if (!this.beatNote || click.silent || click.level === 'mute') return;
+    const { channel, note } = this.beatNote;
+    const velocity = click.level === 'accent' || click.beat === 0 ? 127 : click.level === 'ghost' ? 50 : 100;
+    this._send([MIDI_NOTE_ON | (channel - 1), note, velocity], click.time);
+    this._send([MIDI_NOTE_OFF | (channel - 1), note, 0], click.time + this.NOTE_LENGTH);
+  }
+
+  // Ticks and notes are queued up to a lookahead ahead, so Stop mustn't
+  // overtake them: drop them where the port allows, else send Stop after
+  _onStop() {
+    const output = this.output;
+    if (this.mode === 'send' && output) {
+      if (typeof output.clear === 'function') {
+        output.clear();
+        // A cleared note-off would leave the beat note hanging
+        if (this.beatNote) output.send([MIDI_NOTE_OFF | (this.beatNote.channel - 1), this.beatNote.note, 0]);
+        if (this._started) output.send([MIDI_STOP]);
+      } else if (this._started) {
+        this._send([MIDI_STOP], this._lastSent);
+      }
+    }
+    this._resetSend();
+  }
+
+  // ─── Following ─────────────────────────────────────────────────────────────
+
+  _resetFollow() {
+    this._ticks     = 0;  // since Start / Continue
+    this._tickTimes = []; // performance.now() ms of the latest ticks
+  }
+
+  _onMessage({ data, timeStamp }) {
+    if (this.mode !== 'follow' || !data || !data.length) return;
+    switch (data[0]) {
+      case MIDI_START:
+      case MIDI_CONTINUE:
+        this._resetFollow();
+        this._startMetronome();
+        break;
+      case MIDI_STOP:
+        if (this.metronome.isRunning) this.metronome.stop();
+        break;
+      case MIDI_CLOCK:
+        this._onTick(timeStamp);
+        break;
+    }
+  }
+
+  async _startMetronome() {
+    const metronome = this.metronome;
+    if (metronome.isRunning) return;
+    await metronome.resume();
+    metronome.start();
+  }
+
+  _onTick(timeStamp) {
+    const times = this._tickTimes;
+    times.push(timeStamp);
+    if (times.length > this.FOLLOW_TICKS + 1) times.shift();
+    const tick = this._ticks++;
+
+    const metronome = this.metronome;
+    if (times.length < 2 || tick % this.ticksPerBeat !== 0) return;
+    const interval = (times[times.length - 1] - times[0]) / (times.length - 1) / 1000;
+    const note     = interval * this.ticksPerBeat; // seconds per counted note
+    const bpm      = 60 / note / (metronome.beatUnit === 'dotted' ? 3 : 1);
+    metronome.followBeat(metronome.performanceToAudioTime(timeStamp), bpm);
+  }
+}
@@ -4,12 +4,19 @@
  * Handles three problems:
  *  1. Screen auto-lock kills audio  → Wake Lock API keeps the screen on while playing.
  *  2. Manual screen lock kills audio → Silent looping <audio> keeps the audio session alive.
- *  3. AudioContext gets suspended    → visibilitychange + statechange handlers recover timing.
+ *  3. AudioContext gets suspended    → resumed when the page is visible again
+ *                                     (Metronome#resume, which also resyncs the timing).
  *
- * Call initMobile(metronome) from main.js after initUI(metronome).
+ * The silent audio session also puts the metronome on the lock screen and
+ * headset buttons through the Media Session API: play / pause start and
+ * stop it, next / previous step through presets, and the metadata shows
+ * the tempo and time signature.
+ *
+ * Call initMobile(metronome, presets) from main.js after initPresets(),
+ * passing what it returns.
  */
 
-function initMobile(metronome) {
+function initMobile(metronome, presets) {
 
   // ─── 1. Wake Lock ────────────────────────────────────────────────────────────
 
@@ -38,29 +45,11 @@ function initMobile(metronome) {
   // progress", preventing the WebAudio AudioContext from being suspended when
   // the screen locks manually. Must be started inside a user gesture.
   //
-  // Build the WAV buffer programmatically to guarantee a valid file.
+  // Build the WAV buffer programmatically (wav.js) to guarantee a valid file.
 
   function buildSilentWavUrl() {
     // 46-byte WAV: RIFF/WAVE/fmt /data headers + 1 silent 16-bit PCM sample
-    const buf  = new ArrayBuffer(46);
-    const view = new DataView(buf);
-    // RIFF chunk
-    view.setUint32(0,  0x52494646, false); // "RIFF"
-    view.setUint32(4,  38,         true);  // chunk size = file size - 8
-    view.setUint32(8,  0x57415645, false); // "WAVE"
-    // fmt sub-chunk
-    view.setUint32(12, 0x666d7420, false); // "fmt "
-    view.setUint32(16, 16,         true);  // sub-chunk size
-    view.setUint16(20, 1,          true);  // PCM
-    view.setUint16(22, 1,          true);  // mono
-    view.setUint32(24, 44100,      true);  // sample rate
-    view.setUint32(28, 88200,      true);  // byte rate (44100 * 1 * 2)
-    view.setUint16(32, 2,          true);  // block align
-    view.setUint16(34, 16,         true);  // bits per sample
-    // data sub-chunk
-    view.setUint32(36, 0x64617461, false); // "data"
-    view.setUint32(40, 2,          true);  // data size (1 sample = 2 bytes)
-    view.setInt16(44,  0,          true);  // silent sample
+    const buf = encodeWav([new Float32Array(1)], 44100, 16);
     return URL.createObjectURL(new Blob([buf], { type: 'audio/wav' }));
   }
 
@@ -72,53 +61,67 @@ function initMobile(metronome) {
 
   // ─── 3. AudioContext recovery ────────────────────────────────────────────────
 
-  function recoverPlayback() {
-    const ctx = metronome._audioCtx;
-    if (!ctx) return;
-
-    if (ctx.state === 'suspended' || ctx.state === 'interrupted') {
-      ctx.resume();
+  // Re-acquire wake lock and recover audio when the tab becomes visible again.
+  // resume() also resyncs, so beats missed while locked aren't caught up on.
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && metronome.isRunning) {
+      metronome.resume();
+      requestWakeLock();
     }
+  });
 
-    // Reset scheduler timing to "now" so it doesn't try to catch up on
-    // beats that were missed while the screen was locked.
-    if (metronome.isRunning) {
-      metronome._nextBeatTime = ctx.currentTime + (ctx.baseLatency || 0.01);
-    }
+  // ─── 4. Media Session — lock screen and headset controls ─────────────────────
+
+  const mediaSession = 'mediaSession' in navigator ? navigator.mediaSession : null;
+
+  async function startFromRemote() {
+    if (metronome.isRunning) return;
+    await metronome.resume();
+    metronome.start();
   }
 
-  function hookAudioContextRecovery() {
-    const ctx = metronome._audioCtx;
-    if (!ctx || ctx._mobileHooked) return;
-    ctx._mobileHooked = true;
-
-    ctx.addEventListener('statechange', () => {
-      if (ctx.state === 'running' && metronome.isRunning) {
-        // Context just resumed (e.g. after phone call ended).
-        // Reset timing so the scheduler doesn't try to catch up.
-        metronome._nextBeatTime = ctx.currentTime + (ctx.baseLatency || 0.01);
-      }
+  function updateMetadata() {
+    if (!mediaSession || typeof MediaMetadata === 'undefined') return;
+    const song = metronome.song;
+    mediaSession.metadata = new MediaMetadata({
+      title:   `${Math.round(metronome.bpm)} BPM · ${formatMeter(metronome.meter)}`,
+      artist:  presets.currentName() || 'Metronome',
+      album:   song ? song.name : '',
+      artwork: [{ src: 'icons/icon.svg', sizes: 'any', type: 'image/svg+xml' }],
     });
   }
 
-  // Re-acquire wake lock and recover audio when the tab becomes visible again.
-  document.addEventListener('visibilitychange', () => {
-    if (document.visibilityState === 'visible' && metronome.isRunning) {
-      recoverPlayback();
-      requestWakeLock();
+  function setActionHandler(action, handler) {
+    try {
+      mediaSession.setActionHandler(action, handler);
+    } catch (e) {
+      // Browsers throw for actions they don't support
     }
-  });
+  }
+
+  if (mediaSession) {
+    setActionHandler('play', startFromRemote);
+    setActionHandler('pause', () => metronome.stop());
+    setActionHandler('stop', () => metronome.stop());
+    setActionHandler('nexttrack', () => presets.next());
+    setActionHandler('previoustrack', () => presets.previous());
+    ['tempochange', 'meterchange'].forEach(type => metronome.addEventListener(type, updateMetadata));
+    // Loading a preset may change neither tempo nor meter, but the name shows
+    presets.onApply(updateMetadata);
+    updateMetadata();
+  }
 
-  // ─── Lifecycle hooks ─────────────────────────────────────────────────────────
+  // ─── Lifecycle events ────────────────────────────────────────────────────────
 
-  metronome.onStart = () => {
-    hookAudioContextRecovery();
+  metronome.addEventListener('start', () => {
     silentAudio.play().catch(() => {});
     requestWakeLock();
-  };
+    if (mediaSession) mediaSession.playbackState = 'playing';
+  });
 
-  metronome.onStop = () => {
+  metronome.addEventListener('stop', () => {
     silentAudio.pause();
     releaseWakeLock();
-  };
+    if (mediaSession) mediaSession.playbackState = 'paused';
+  });
 }
@@ -0,0 +1,98 @@
+/**
+ * onsets.js — Note onset detection on raw samples.
+ *
+ * Pure analysis with no Web Audio in it, so it runs the same on a live
+ * microphone stream (listen.js feeds it chunks from an AudioWorklet) and on
+ * a pre-recorded buffer:
+ *
+ *   detectOnsets(audioBuffer.getChannelData(0), audioBuffer.sampleRate)
+ *     → [0.512, 1.004, ...] seconds from the start of the buffer
+ *
+ * The signal is cut into short blocks (~3 ms at 44.1 kHz); an onset is a
+ * block whose level jumps well above the blocks just before it. The time
+ * is then refined to the first sample in that block to reach a good part
+ * of its peak, so it is accurate to well under a block.
+ */
+
+class OnsetDetector {
+  /**
+   * Options (all optional):
+   *   riseDb — how far a block's level must jump above the last few blocks
+   *   gateDb — blocks quieter than this (dBFS) never count, so room noise is ignored
+   *   minGap — seconds after an onset before another can be detected
+   */
+  constructor(sampleRate, options = {}) {
+    this.sampleRate = sampleRate;
+    this.HOP        = 128;  // samples per analysis block
+    this.HISTORY    = 3;    // blocks the rise is measured against
+    this.riseDb     = options.riseDb !== undefined ? options.riseDb : 9;
+    this.gateDb     = options.gateDb !== undefined ? options.gateDb : -50;
+    this.minGap     = options.minGap !== undefined ? options.minGap : 0.05;
+    this.reset();
+  }
+
+  reset() {
+    this._block      = new Float32Array(this.HOP);
+    this._fill       = 0;
+    this._blockStart = 0;
+    this._time       = 0;     // time of the next sample
+    this._previous   = 0;     // last input and output sample of the rumble filter
+    this._filtered   = 0;
+    this._levels     = new Array(this.HISTORY).fill(0); // "loud", so starting mid-note isn't an onset
+    this._lastOnset  = -Infinity;
+  }
+
+  /**
+   * Feed the next `samples`. `startTime` is the time of the first one, in
+   * whatever clock the caller wants the onsets in (seconds); without it the
+   * samples follow on from the previous call. Returns the onset times found.
+   */
+  process(samples, startTime) {
+    if (startTime !== undefined) this._time = startTime;
+    const onsets = [];
+    for (let i = 0; i < samples.length; i++) {
+      if (this._fill === 0) this._blockStart = this._time;
+      // Drop DC and rumble below ~70 Hz (handling noise, traffic) first
+      this._filtered = samples[i] - this._previous + 0.99 * this._filtered;
+      this._previous = samples[i];
+      this._block[this._fill++] = this._filtered;
+      this._time += 1 / this.sampleRate;
+
+      if (this._fill === this.HOP) {
+        const onset = this._analyseBlock();
+        if (onset !== null) onsets.push(onset);
+        this._fill = 0;
+      }
+    }
+    return onsets;
+  }
+
+  _analyseBlock() {
+    const block = this._block;
+    let energy = 0;
+    let peak   = 0;
+    for (let i = 0; i < block.length; i++) {
+      energy += block[i] * block[i];
+      peak = Math.max(peak, Math.abs(block[i]));
+    }
+    const level     = 10 * Math.log10(energy / block.length + 1e-12);
+    const reference = Math.min(...this._levels);
+    this._levels.shift();
+    this._levels.push(level);
+
+    if (level < this.gateDb || level - reference < this.riseDb) return null;
+    if (this._blockStart - this._lastOnset < this.minGap) return null;
+
+    // The attack starts at the first sample to reach a third of the peak
+    let first = 0;
+    while (first < block.length && Math.abs(block[first]) < peak / 3) first++;
+    const time = this._blockStart + first / this.sampleRate;
+    this._lastOnset = time;
+    return time;
+  }
+}
+
+// Onset times, in seconds from the start, of a whole recorded buffer
+function detectOnsets(samples, sampleRate, options) {
+  return new OnsetDetector(sampleRate, options).process(samples, 0);
+}
@@ -0,0 +1,73 @@
+/**
+ * pendulum.js — Optional swinging pendulum above the BPM display.
+ *
+ * The arm reaches one end of its swing on every beat. Its angle is worked
+ * out each animation frame from the Metronome's visualTime and the last
+ * beat event, so it follows the audio clock (and the latency calibration)
+ * rather than timers.
+ *
+ * Call initPendulum(metronome) from main.js after initUI(metronome).
+ */
+
+function initPendulum(metronome) {
+  const MAX_ANGLE = 30; // degrees either side of upright
+
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const pendulum   = document.getElementById('pendulum');
+  const arm        = document.getElementById('pendulum-arm');
+  const enabledBox = document.getElementById('pendulum-enabled');
+
+  let lastBeat = null; // detail of the last beat event
+  let swings   = 0;    // beats since start — the side alternates
+  let frameId  = null;
+
+  // ─── Animation ─────────────────────────────────────────────────────────────
+
+  function setAngle(degrees) {
+    arm.style.transform = `rotate(${degrees}deg)`;
+  }
+
+  // Eases in and out of each end like a real pendulum
+  function frame() {
+    if (lastBeat) {
+      const progress = Math.min(1, Math.max(0, (metronome.visualTime - lastBeat.time) / lastBeat.duration));
+      const side = swings % 2 ? 1 : -1;
+      setAngle(side * MAX_ANGLE * Math.cos(Math.PI * progress));
+    }
+    frameId = requestAnimationFrame(frame);
+  }
+
+  function startAnimation() {
+    if (frameId !== null || pendulum.hidden || !metronome.isRunning) return;
+    frameId = requestAnimationFrame(frame);
+  }
+
+  function stopAnimation() {
+    cancelAnimationFrame(frameId);
+    frameId  = null;
+    lastBeat = null;
+    swings   = 0;
+    setAngle(0);
+  }
+
+  // ─── Events ────────────────────────────────────────────────────────────────
+
+  metronome.addEventListener('beat', (e) => {
+    lastBeat = e.detail;
+    swings++;
+  });
+  metronome.addEventListener('start', startAnimation);
+  metronome.addEventListener('stop', stopAnimation);
+
+  enabledBox.addEventListener('change', () => {
+    pendulum.hidden = !enabledBox.checked;
+    localStorage.setItem('pendulum', enabledBox.checked);
+    if (enabledBox.checked) startAnimation();
+    else stopAnimation();
+  });
+
+  // ─── localStorage — restore saved state ────────────────────────────────────
+
+  enabledBox.checked = localStorage.getItem('pendulum') === 'true';
+  pendulum.hidden = !enabledBox.checked;
+}
@@ -0,0 +1,353 @@
+/**
+ * practice-log.js — Practice time per day, tempo and meter.
+ *
+ * Every start / stop of the Metronome is a session: when it started, how
+ * long it ran, the tempo over time (from tempochange events, so trainer
+ * ramps are in it), the meters played, and the preset or song it was on.
+ * Finished sessions go into the `sessions` IndexedDB store; the one still
+ * running is checkpointed to localStorage every few seconds and when the
+ * page is hidden, and a session left there by a reload or crash is filed
+ * on the next load.
+ *
+ * The history shows daily totals, the current streak of days practised,
+ * average tempo per session for a preset or song, and exports as CSV or
+ * JSON.
+ *
+ * Call initPracticeLog(metronome, presets) from main.js after
+ * initPresets(metronome, ui), with what it returned.
+ */
+
+function initPracticeLog(metronome, presets) {
+  const SESSION_KEY   = 'practiceSession'; // localStorage key of the running session
+  const CHECKPOINT_MS = 5000;
+  const MIN_SECONDS   = 5;   // shorter start / stops aren't practice
+  const DAYS_SHOWN    = 14;
+  const RECENT_SHOWN  = 10;
+  const FILE_TYPE     = 'metronome-practice-log';
+  const NO_NAME       = '';  // progress key for sessions with no preset or song
+
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const summaryEl      = document.getElementById('log-summary');
+  const daysEl         = document.getElementById('log-days');
+  const progressSelect = document.getElementById('log-progress');
+  const chartEl        = document.getElementById('log-chart');
+  const sessionList    = document.getElementById('log-sessions');
+  const csvBtn         = document.getElementById('log-export-csv');
+  const jsonBtn        = document.getElementById('log-export-json');
+  const clearBtn       = document.getElementById('log-clear');
+  const statusEl       = document.getElementById('log-status');
+
+  let sessions     = []; // finished sessions, oldest first
+  let session      = null; // the one being recorded
+  let checkpointId = null;
+
+  // ─── Recording ─────────────────────────────────────────────────────────────
+
+  function elapsed() {
+    return (Date.now() - session.start) / 1000;
+  }
+
+  function begin() {
+    const now = Date.now();
+    session = {
+      id:          `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      start:       now,
+      end:         now,
+      seconds:     0,
+      preset:      presets.currentName(),
+      song:        metronome.song ? metronome.song.name : null,
+      meters:      [formatMeter(metronome.meter)],
+      subdivision: metronome.subdivision,
+      tempo:       [[0, Math.round(metronome.bpm)]], // [seconds since start, bpm]
+    };
+    checkpoint();
+    checkpointId = setInterval(checkpoint, CHECKPOINT_MS);
+  }
+
+  function checkpoint() {
+    if (!session) return;
+    session.end     = Date.now();
+    session.seconds = Math.round(elapsed());
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  }
+
+  function finish() {
+    checkpoint();
+    clearInterval(checkpointId);
+    checkpointId = null;
+    const done = session;
+    session = null;
+    if (done.seconds >= MIN_SECONDS) file(done);
+    else clearCheckpoint(done.id);
+  }
+
+  // Drop the localStorage copy of session `id` — unless a newer session
+  // has replaced it there already
+  function clearCheckpoint(id) {
+    const saved = localStorage.getItem(SESSION_KEY);
+    if (saved && JSON.parse(saved).id === id) localStorage.removeItem(SESSION_KEY);
+  }
+
+  // Keep a session for good. The localStorage copy stays until IndexedDB
+  // has it, so a failed write is retried on the next load.
+  function file(done) {
+    sessions.push(done);
+    sessions.sort((a, b) => a.start - b.start);
+    render();
+    dbPut('sessions', done)
+      .then(() => clearCheckpoint(done.id))
+      .catch(err => console.warn('Practice session not saved:', err));
+  }
+
+  // ─── Stats ─────────────────────────────────────────────────────────────────
+
+  // Time-weighted average, and range, of a session's tempo
+  function tempoStats({ tempo, seconds }) {
+    let weighted = 0;
+    tempo.forEach(([at, bpm], i) => {
+      const until = i + 1 < tempo.length ? tempo[i + 1][0] : Math.max(seconds, at);
+      weighted += bpm * (until - at);
+    });
+    const bpms = tempo.map(([, bpm]) => bpm);
+    return {
+      average: seconds > 0 ? Math.round(weighted / seconds) : bpms[0],
+      min:     Math.min(...bpms),
+      max:     Math.max(...bpms),
+    };
+  }
+
+  // Local calendar day, e.g. "2024-03-09"
+  function dayKey(ms) {
+    const date = new Date(ms);
+    const pad  = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function daysAgo(days) {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    return date.getTime();
+  }
+
+  // Seconds practised per day, keyed by dayKey (sessions count on the day they started)
+  function dailyTotals() {
+    const totals = new Map();
+    sessions.forEach(s => totals.set(dayKey(s.start), (totals.get(dayKey(s.start)) || 0) + s.seconds));
+    return totals;
+  }
+
+  // Days in a row practised, up to today — or up to yesterday, as today
+  // isn't over yet
+  function streak(totals) {
+    const start = totals.has(dayKey(daysAgo(0))) ? 0 : 1;
+    let days    = 0;
+    while (totals.has(dayKey(daysAgo(start + days)))) days++;
+    return days;
+  }
+
+  function formatDuration(seconds) {
+    if (seconds < 60) return `${Math.round(seconds)} s`;
+    const minutes = Math.round(seconds / 60);
+    return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+  }
+
+  function sessionName(s) {
+    return s.preset || s.song || NO_NAME;
+  }
+
+  // ─── Rendering ─────────────────────────────────────────────────────────────
+
+  function renderSummary(totals) {
+    let week = 0;
+    for (let i = 0; i < 7; i++) week += totals.get(dayKey(daysAgo(i))) || 0;
+    const days = streak(totals);
+    summaryEl.textContent = `Today ${formatDuration(totals.get(dayKey(daysAgo(0))) || 0)}`
+      + ` · last 7 days ${formatDuration(week)}`
+      + ` · streak ${days} day${days === 1 ? '' : 's'}`;
+  }
+
+  function renderDays(totals) {
+    const days = [];
+    for (let i = DAYS_SHOWN - 1; i >= 0; i--) days.push(daysAgo(i));
+    const most = Math.max(1, ...days.map(ms => totals.get(dayKey(ms)) || 0));
+    daysEl.replaceChildren(...days.map(ms => {
+      const seconds = totals.get(dayKey(ms)) || 0;
+      const day = document.createElement('div');
+      day.className = 'log-day';
+      day.title = `${new Date(ms).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}: ${formatDuration(seconds)}`;
+      const bar = document.createElement('div');
+      bar.className = 'log-day-bar';
+      bar.style.height = `${seconds / most * 100}%`;
+      const label = document.createElement('span');
+      label.textContent = new Date(ms).getDate();
+      day.append(bar, label);
+      return day;
+    }));
+  }
+
+  function renderProgressOptions() {
+    const names = [...new Set(sessions.map(sessionName))];
+    const selected = progressSelect.value;
+    progressSelect.replaceChildren(...names.map(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name || 'No preset or song';
+      return option;
+    }));
+    if (names.includes(selected)) progressSelect.value = selected;
+  }
+
+  // Average BPM of each session on the chosen preset / song, oldest first
+  function renderChart() {
+    const NS = 'http://www.w3.org/2000/svg';
+    const WIDTH = 300, HEIGHT = 100, PAD = 12;
+    const points = sessions
+      .filter(s => sessionName(s) === progressSelect.value)
+      .map(s => tempoStats(s).average);
+    chartEl.replaceChildren();
+    if (!points.length) return;
+
+    const low  = Math.min(...points) - 5;
+    const high = Math.max(...points) + 5;
+    const x = i => points.length === 1 ? WIDTH / 2 : PAD + i * (WIDTH - 2 * PAD) / (points.length - 1);
+    const y = bpm => HEIGHT - PAD - (bpm - low) / (high - low) * (HEIGHT - 2 * PAD);
+
+    const line = document.createElementNS(NS, 'polyline');
+    line.setAttribute('points', points.map((bpm, i) => `${x(i)},${y(bpm)}`).join(' '));
+    line.setAttribute('class', 'log-chart-line');
+    chartEl.appendChild(line);
+
+    points.forEach((bpm, i) => {
+      const dot = document.createElementNS(NS, 'circle');
+      dot.setAttribute('cx', x(i));
+      dot.setAttribute('cy', y(bpm));
+      dot.setAttribute('r', 2.5);
+      dot.setAttribute('class', 'log-chart-dot');
+      const title = document.createElementNS(NS, 'title');
+      title.textContent = `${bpm} BPM`;
+      dot.appendChild(title);
+      chartEl.appendChild(dot);
+    });
+
+    // The fastest and slowest session
+    new Set([high - 5, low + 5]).forEach(bpm => {
+      const text = document.createElementNS(NS, 'text');
+      text.setAttribute('x', 2);
+      text.setAttribute('y', y(bpm) - 3);
+      text.setAttribute('class', 'log-chart-label');
+      text.textContent = bpm;
+      chartEl.appendChild(text);
+    });
+  }
+
+  function renderSessions() {
+    const recent = sessions.slice(-RECENT_SHOWN).reverse();
+    sessionList.replaceChildren(...recent.map(s => {
+      const { min, max } = tempoStats(s);
+      const item = document.createElement('li');
+      const when = new Date(s.start).toLocaleString(undefined, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+      item.textContent = [when, formatDuration(s.seconds), min === max ? `${min} BPM` : `${min}–${max} BPM`,
+                          s.meters.join(', '), sessionName(s)].filter(Boolean).join(' · ');
+      return item;
+    }));
+  }
+
+  function render() {
+    const totals = dailyTotals();
+    renderSummary(totals);
+    renderDays(totals);
+    renderProgressOptions();
+    renderChart();
+    renderSessions();
+    csvBtn.disabled = jsonBtn.disabled = clearBtn.disabled = sessions.length === 0;
+  }
+
+  // ─── Export ────────────────────────────────────────────────────────────────
+
+  function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCsv() {
+    const header = ['start', 'end', 'minutes', 'average_bpm', 'min_bpm', 'max_bpm', 'meters', 'subdivision', 'preset', 'song'];
+    const rows = sessions.map(s => {
+      const { average, min, max } = tempoStats(s);
+      return [new Date(s.start).toISOString(), new Date(s.end).toISOString(), (s.seconds / 60).toFixed(1),
+              average, min, max, s.meters.join(' '), s.subdivision, s.preset, s.song];
+    });
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+  }
+
+  // ─── Events ────────────────────────────────────────────────────────────────
+
+  metronome.addEventListener('start', begin);
+  metronome.addEventListener('stop', () => {
+    if (session) finish();
+  });
+
+  metronome.addEventListener('tempochange', (e) => {
+    if (!session) return;
+    const bpm  = Math.round(e.detail.bpm);
+    const last = session.tempo[session.tempo.length - 1];
+    if (bpm !== last[1]) session.tempo.push([Math.round(elapsed() * 10) / 10, bpm]);
+  });
+
+  metronome.addEventListener('meterchange', (e) => {
+    if (!session) return;
+    const meter = formatMeter(e.detail.meter);
+    if (!session.meters.includes(meter)) session.meters.push(meter);
+  });
+
+  // A reload or a closed tab doesn't stop the metronome first
+  window.addEventListener('pagehide', checkpoint);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') checkpoint();
+  });
+
+  progressSelect.addEventListener('change', renderChart);
+
+  csvBtn.addEventListener('click', () => {
+    downloadFile(toCsv(), 'text/csv', 'practice-log.csv');
+  });
+
+  jsonBtn.addEventListener('click', () => {
+    const file = { type: FILE_TYPE, version: 1, sessions };
+    downloadFile(JSON.stringify(file, null, 2), 'application/json', 'practice-log.json');
+  });
+
+  clearBtn.addEventListener('click', () => {
+    if (!window.confirm('Delete the whole practice log?')) return;
+    sessions = [];
+    render();
+    dbClear('sessions').catch(err => console.warn('Practice log not cleared:', err));
+  });
+
+  // ─── IndexedDB — restore saved state ───────────────────────────────────────
+
+  // Read now, before a new session can overwrite it
+  let unfinished = null;
+  try {
+    unfinished = JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (e) {
+    console.warn('Ignoring invalid unfinished practice session:', e);
+  }
+
+  render();
+  dbGetAll('sessions')
+    .catch(err => {
+      console.warn('Practice log unavailable:', err);
+      statusEl.textContent = "The log can't be saved in this browser";
+      return [];
+    })
+    .then(saved => {
+      // Anything recorded since loading stays
+      sessions = saved.concat(sessions.filter(s => !saved.some(other => other.id === s.id)))
+        .sort((a, b) => a.start - b.start);
+      render();
+
+      if (!unfinished) return;
+      if (unfinished.seconds >= MIN_SECONDS && !sessions.some(s => s.id === unfinished.id)) file(unfinished);
+      else clearCheckpoint(unfinished.id);
+    });
+}
@@ -0,0 +1,247 @@
+/**
+ * presets.js — Tempo presets and named user presets.
+ *
+ * The built-in Largo…Presto buttons only set the BPM. User presets keep the
+ * whole setup (Metronome#settings: tempo, meter, subdivision, swing, volume,
+ * accents, layers) under a name; they can be reordered, deleted, and
+ * exported / imported as a JSON file to share a library.
+ *
+ * Call initPresets(metronome, ui) from main.js after initUI(metronome).
+ * Returns { next, previous }, which step through the built-in presets then
+ * the user's, for remote controls (media keys, pedals), currentName(),
+ * the name of the preset loaded last (null before one is, or once its
+ * tempo or meter has been changed by hand), and onApply(fn), which calls
+ * fn(name) whenever a preset is loaded.
+ */
+
+function initPresets(metronome, ui) {
+  const FILE_TYPE = 'metronome-presets';
+  const MAX_NAME  = 60;
+  const NUMERIC_SETTINGS = ['bpm', 'volume', 'subdivision', 'swing']; // must be finite numbers if present
+
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const builtInList = document.getElementById('presets-list');
+  const nameInput   = document.getElementById('preset-name');
+  const saveBtn     = document.getElementById('preset-save');
+  const presetList  = document.getElementById('preset-list');
+  const exportBtn   = document.getElementById('preset-export');
+  const importFile  = document.getElementById('preset-import');
+  const statusEl    = document.getElementById('preset-status');
+
+  let presets = []; // [{ name, settings }]
+  let current = -1; // position in sequence() of the last preset loaded
+  let currentName = null;
+  let currentSettings = null; // what that preset set, to notice it being changed by hand
+  const applyListeners = []; // onApply() callbacks
+
+  // ─── Helpers ───────────────────────────────────────────────────────────────
+
+  function save() {
+    localStorage.setItem('presets', JSON.stringify(presets));
+  }
+
+  // Run settings through a scratch Metronome so anything hand-edited or
+  // from an old file comes out clamped and complete. null if unusable —
+  // including a number field that isn't one ("bpm": "fast").
+  function cleanSettings(settings) {
+    if (!settings || typeof settings !== 'object') return null;
+    if (NUMERIC_SETTINGS.some(key => settings[key] !== undefined && !Number.isFinite(settings[key]))) return null;
+    const { meter } = settings;
+    if (meter && !(Number.isFinite(meter.numerator) && Number.isFinite(meter.denominator))) return null;
+    const scratch = new Metronome();
+    scratch.applySettings(settings);
+    return scratch.settings;
+  }
+
+  function cleanPreset(preset) {
+    if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) return null;
+    const settings = cleanSettings(preset.settings);
+    return settings && { name: preset.name.trim().slice(0, MAX_NAME), settings };
+  }
+
+  // Built-ins first, then the user's own
+  function sequence() {
+    const builtIn = [...builtInList.querySelectorAll('.preset-btn')].map(btn => ({
+      name:     btn.firstChild.textContent,
+      settings: { bpm: Number(btn.dataset.bpm) },
+    }));
+    return builtIn.concat(presets);
+  }
+
+  function apply(preset, index) {
+    current = index;
+    metronome.applySettings(preset.settings);
+    currentName = preset.name;
+    currentSettings = preset.settings;
+    ui.refresh();
+    ui.saveSettings();
+    statusEl.textContent = `Loaded "${preset.name}"`;
+    applyListeners.forEach(fn => fn(preset.name));
+  }
+
+  // Whether the tempo and meter are still the ones the preset loaded last set
+  function matchesCurrent() {
+    const { bpm, meter } = currentSettings;
+    if (bpm !== undefined && Math.round(metronome.bpm) !== Math.round(bpm)) return false;
+    return !meter || (formatMeter(metronome.meter) === formatMeter(meter)
+      && formatGrouping(metronome.meter.grouping) === formatGrouping(meter.grouping));
+  }
+
+  // Add, or replace a preset with the same name in place
+  function store(preset) {
+    const existing = presets.findIndex(p => p.name === preset.name);
+    if (existing >= 0) presets[existing] = preset;
+    else presets.push(preset);
+  }
+
+  function summary(settings) {
+    const subdivNames = { 1: '', 2: ' ♪♪', 3: ' 3', 4: ' ♬' };
+    return `${settings.bpm} · ${formatMeter(settings.meter)}${subdivNames[settings.subdivision] || ''}`;
+  }
+
+  function render() {
+    presetList.replaceChildren(...presets.map((preset, index) => {
+      const item = document.createElement('li');
+      item.dataset.index = index;
+
+      const load = document.createElement('button');
+      load.type = 'button';
+      load.className = 'btn-small preset-load';
+      load.dataset.action = 'load';
+      load.textContent = preset.name;
+      const detail = document.createElement('small');
+      detail.textContent = ` ${summary(preset.settings)}`;
+      load.appendChild(detail);
+
+      const actions = [['up', '↑', 'Move up', index === 0],
+                       ['down', '↓', 'Move down', index === presets.length - 1],
+                       ['remove', '×', `Delete ${preset.name}`, false]].map(([action, text, title, disabled]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn-small';
+        btn.dataset.action = action;
+        btn.textContent = text;
+        btn.title = title;
+        btn.disabled = disabled;
+        return btn;
+      });
+
+      item.append(load, ...actions);
+      return item;
+    }));
+    exportBtn.disabled = presets.length === 0;
+  }
+
+  function step(delta) {
+    const all = sequence();
+    if (!all.length) return;
+    const index = current < 0 && delta < 0 ? all.length - 1 : (current + delta + all.length) % all.length;
+    apply(all[index], index);
+  }
+
+  // ─── Events ────────────────────────────────────────────────────────────────
+
+  // Once the tempo or meter is changed by hand the setup is no longer the
+  // preset, and the practice log mustn't file it under that name. Songs and
+  // the trainer change the tempo themselves, so they don't count.
+  ['tempochange', 'meterchange'].forEach(type => metronome.addEventListener(type, () => {
+    if (currentName === null || metronome.song || metronome.trainer || matchesCurrent()) return;
+    currentName = null;
+    currentSettings = null;
+  }));
+
+  builtInList.addEventListener('click', (e) => {
+    const btn = e.target.closest('.preset-btn');
+    if (!btn) return;
+    const index = [...builtInList.querySelectorAll('.preset-btn')].indexOf(btn);
+    apply(sequence()[index], index);
+  });
+
+  saveBtn.addEventListener('click', () => {
+    const name = nameInput.value.trim().slice(0, MAX_NAME);
+    if (!name) {
+      nameInput.classList.add('invalid');
+      nameInput.focus();
+      return;
+    }
+    nameInput.classList.remove('invalid');
+    store({ name, settings: metronome.settings });
+    save();
+    render();
+    nameInput.value = '';
+    statusEl.textContent = `Saved "${name}"`;
+  });
+
+  nameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveBtn.click();
+  });
+
+  presetList.addEventListener('click', (e) => {
+    const btn  = e.target.closest('button[data-action]');
+    const item = e.target.closest('li');
+    if (!btn || !item) return;
+
+    const index  = Number(item.dataset.index);
+    const action = btn.dataset.action;
+    if (action === 'load') {
+      apply(presets[index], builtInList.querySelectorAll('.preset-btn').length + index);
+      return;
+    }
+
+    const target = action === 'up' ? index - 1 : index + 1;
+    if (action === 'remove') {
+      presets.splice(index, 1);
+    } else if (target >= 0 && target < presets.length) {
+      [presets[index], presets[target]] = [presets[target], presets[index]];
+    }
+    current = -1;
+    save();
+    render();
+  });
+
+  exportBtn.addEventListener('click', () => {
+    const file = { type: FILE_TYPE, version: 1, presets };
+    downloadFile(JSON.stringify(file, null, 2), 'application/json', 'metronome-presets.json');
+  });
+
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      // A bare array of presets is accepted too
+      const list = Array.isArray(data) ? data : data && data.type === FILE_TYPE ? data.presets : null;
+      if (!Array.isArray(list)) throw new Error('Not a presets file');
+
+      const imported = list.map(cleanPreset).filter(Boolean);
+      imported.forEach(store);
+      save();
+      render();
+      const skipped = list.length - imported.length;
+      statusEl.textContent = `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}`
+        + (skipped ? ` (${skipped} unreadable skipped)` : '');
+    } catch (e) {
+      console.warn('Preset import failed:', e);
+      statusEl.textContent = "Couldn't read that file — export one from here to see the format";
+    }
+  });
+
+  // ─── localStorage — restore saved state ────────────────────────────────────
+
+  try {
+    const saved = JSON.parse(localStorage.getItem('presets'));
+    if (Array.isArray(saved)) presets = saved.map(cleanPreset).filter(Boolean);
+  } catch (e) {
+    console.warn('Ignoring invalid saved presets:', e);
+  }
+  render();
+
+  return {
+    next:        () => step(1),
+    previous:    () => step(-1),
+    currentName: () => currentName,
+    onApply:     (fn) => { applyListeners.push(fn); },
+  };
+}
@@ -0,0 +1,357 @@
+/**
+ * setlist.js — Songs made of sections, grouped into setlists.
+ *
+ * A song is an ordered list of sections, each with its own BPM, time
+ * signature, subdivision and bar count. Loading a song hands it to the
+ * Metronome, which switches sections on the exact downbeat; this file only
+ * edits, stores and steps through them.
+ *
+ * Call initSetlist(metronome, ui) from main.js after initUI(metronome).
+ */
+
+function initSetlist(metronome, ui) {
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const setlistSelect   = document.getElementById('setlist-select');
+  const setlistNameEl   = document.getElementById('setlist-name');
+  const setlistNewBtn   = document.getElementById('setlist-new');
+  const setlistDelBtn   = document.getElementById('setlist-delete');
+  const songSelect      = document.getElementById('song-select');
+  const songNameEl      = document.getElementById('song-name');
+  const songNewBtn      = document.getElementById('song-new');
+  const songDelBtn      = document.getElementById('song-delete');
+  const sectionList     = document.getElementById('section-list');
+  const sectionAddBtn   = document.getElementById('section-add');
+  const songPrevBtn     = document.getElementById('song-prev');
+  const songLoadBtn     = document.getElementById('song-load');
+  const songNextBtn     = document.getElementById('song-next');
+  const songStatus      = document.getElementById('song-status');
+  const songTitleEl     = document.getElementById('song-title');
+  const songSectionEl   = document.getElementById('song-section');
+  const songBarsEl      = document.getElementById('song-bars');
+  const songExitBtn     = document.getElementById('song-exit');
+
+  // ─── Data ──────────────────────────────────────────────────────────────────
+  // Sections store the time signature as typed ("7/8 2+2+3") and are only
+  // turned into meter objects when a song is handed to the metronome.
+
+  function newSection(name, bpm = 120, timeSig = '4/4', bars = 8) {
+    return { name, bpm, timeSig, subdivision: 1, bars };
+  }
+
+  function newSong(name) {
+    return { name, sections: [newSection('Intro', 120, '4/4', 4), newSection('Verse', 120, '4/4', 16)] };
+  }
+
+  function defaultSetlists() {
+    return [{
+      name: 'My setlist',
+      songs: [{
+        name: 'Example song',
+        sections: [
+          newSection('Intro', 90, '4/4', 4),
+          newSection('Verse', 90, '4/4', 16),
+          newSection('Bridge', 152, '7/8 2+2+3', 8),
+        ],
+      }],
+    }];
+  }
+
+  function loadSetlists() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('setlists'));
+      if (Array.isArray(saved) && saved.length) return saved;
+    } catch (e) {
+      console.warn('Ignoring invalid saved setlists:', e);
+    }
+    return defaultSetlists();
+  }
+
+  function saveSetlists() {
+    localStorage.setItem('setlists', JSON.stringify(setlists));
+    localStorage.setItem('setlistIndex', setlistIndex);
+    localStorage.setItem('songIndex', songIndex);
+  }
+
+  const setlists   = loadSetlists();
+  let setlistIndex = Math.min(Number(localStorage.getItem('setlistIndex')) || 0, setlists.length - 1);
+  let songIndex    = Number(localStorage.getItem('songIndex')) || 0;
+  let songMode     = false; // true while a song is loaded into the metronome
+  let beforeSong   = null;  // what the sections override, put back on exit
+
+  const currentSetlist = () => setlists[setlistIndex];
+  const currentSong    = () => currentSetlist().songs[songIndex];
+
+  // Convert a stored song into what Metronome#song expects
+  function toMetronomeSong(song) {
+    return {
+      name: song.name,
+      sections: song.sections.map(section => {
+        const meter = parseMeter(section.timeSig) || parseMeter('4/4');
+        return {
+          name:        section.name,
+          bpm:         Number(section.bpm) || 120,
+          meter,
+          beatUnit:    isCompoundMeter(meter.numerator, meter.denominator) ? 'dotted' : 'note',
+          subdivision: Number(section.subdivision) || 1,
+          bars:        Number(section.bars) || 1,
+        };
+      }),
+    };
+  }
+
+  // ─── Rendering ─────────────────────────────────────────────────────────────
+
+  function fillSelect(select, items, selected) {
+    select.replaceChildren(...items.map((item, i) => {
+      const option = document.createElement('option');
+      option.value = i;
+      option.textContent = item.name || `Untitled ${i + 1}`;
+      return option;
+    }));
+    select.value = selected;
+  }
+
+  function field(tag, { ariaLabel, ...props }) {
+    const el = document.createElement(tag);
+    Object.assign(el, props);
+    if (ariaLabel) el.setAttribute('aria-label', ariaLabel);
+    return el;
+  }
+
+  function renderSection(section, index, count) {
+    const card = document.createElement('div');
+    card.className = 'section-card';
+    card.dataset.index = index;
+
+    const header = document.createElement('div');
+    header.className = 'section-card-row';
+    header.append(
+      field('input', { type: 'text', value: section.name, className: 'panel-input', placeholder: 'Section name', ariaLabel: 'Section name' }),
+      field('button', { type: 'button', textContent: '↑', className: 'btn-small', title: 'Move up', disabled: index === 0 }),
+      field('button', { type: 'button', textContent: '↓', className: 'btn-small', title: 'Move down', disabled: index === count - 1 }),
+      field('button', { type: 'button', textContent: '×', className: 'btn-small', title: 'Remove section', disabled: count === 1 }),
+    );
+    const [nameInput, upBtn, downBtn, removeBtn] = header.children;
+    nameInput.dataset.field = 'name';
+    upBtn.dataset.action     = 'up';
+    downBtn.dataset.action   = 'down';
+    removeBtn.dataset.action = 'remove';
+
+    const subdivSelect = field('select', { className: 'time-sig-select', ariaLabel: 'Subdivision' });
+    [['1', '♩'], ['2', '♪♪'], ['3', '3'], ['4', '♬']].forEach(([value, label]) => {
+      subdivSelect.appendChild(field('option', { value, textContent: label }));
+    });
+    subdivSelect.value = section.subdivision;
+    subdivSelect.dataset.field = 'subdivision';
+
+    const settings = document.createElement('div');
+    settings.className = 'section-card-row';
+    settings.append(
+      field('input', { type: 'number', min: 20, max: 300, value: section.bpm, className: 'panel-input panel-input-narrow', title: 'BPM', ariaLabel: 'BPM' }),
+      field('input', { type: 'text', value: section.timeSig, className: 'panel-input', title: 'Time signature, e.g. 7/8 2+2+3', ariaLabel: 'Time signature' }),
+      subdivSelect,
+      field('input', { type: 'number', min: 1, max: 999, value: section.bars, className: 'panel-input panel-input-narrow', title: 'Bars', ariaLabel: 'Bars' }),
+    );
+    settings.children[0].dataset.field = 'bpm';
+    settings.children[1].dataset.field = 'timeSig';
+    settings.children[3].dataset.field = 'bars';
+
+    card.append(header, settings);
+    return card;
+  }
+
+  function render() {
+    songIndex = Math.max(0, Math.min(songIndex, currentSetlist().songs.length - 1));
+
+    fillSelect(setlistSelect, setlists, setlistIndex);
+    setlistNameEl.value = currentSetlist().name;
+    fillSelect(songSelect, currentSetlist().songs, songIndex);
+
+    const song = currentSong();
+    songNameEl.value = song.name;
+    sectionList.replaceChildren(...song.sections.map((section, i) => renderSection(section, i, song.sections.length)));
+
+    songPrevBtn.disabled = songIndex === 0;
+    songNextBtn.disabled = songIndex === currentSetlist().songs.length - 1;
+  }
+
+  // Persist, and keep a loaded song in step with edits while it isn't playing
+  function changed() {
+    saveSetlists();
+    if (songMode && !metronome.isRunning) loadSong();
+  }
+
+  // ─── Song mode ─────────────────────────────────────────────────────────────
+
+  function loadSong() {
+    const wasRunning = metronome.isRunning;
+    if (wasRunning) metronome.stop();
+
+    if (!songMode) {
+      const { bpm, meter, beatUnit, subdivision } = metronome.settings;
+      beforeSong = { bpm, meter, beatUnit, subdivision };
+    }
+    metronome.song = toMetronomeSong(currentSong());
+    songMode = true;
+
+    songStatus.hidden = false;
+    songTitleEl.textContent = currentSong().name;
+    const first = metronome.song.sections[0];
+    showProgress({ section: first, barsLeft: first.bars });
+
+    if (wasRunning) metronome.start();
+    ui.refresh();
+  }
+
+  function exitSong() {
+    metronome.song = null;
+    if (beforeSong) metronome.applySettings(beforeSong);
+    beforeSong = null;
+    songMode = false;
+    songStatus.hidden = true;
+    ui.refresh();
+    ui.saveSettings();
+  }
+
+  function showProgress(progress) {
+    songSectionEl.textContent = progress.section.name;
+    songBarsEl.textContent = `${progress.barsLeft} ${progress.barsLeft === 1 ? 'bar' : 'bars'} left`;
+  }
+
+  function stepSong(delta) {
+    const next = songIndex + delta;
+    if (next < 0 || next >= currentSetlist().songs.length) return;
+    songIndex = next;
+    render();
+    saveSetlists();
+    if (songMode) loadSong();
+  }
+
+  metronome.addEventListener('songprogress', (e) => {
+    const { progress } = e.detail;
+    showProgress(progress);
+    // The section's settings are already live in the metronome
+    if (progress.bar === 1) ui.refresh();
+  });
+
+  metronome.addEventListener('songend', () => {
+    songBarsEl.textContent = 'Finished';
+    ui.refresh();
+  });
+
+  // ─── Setlists ──────────────────────────────────────────────────────────────
+
+  setlistSelect.addEventListener('change', () => {
+    setlistIndex = Number(setlistSelect.value);
+    songIndex = 0;
+    render();
+    changed();
+  });
+
+  setlistNameEl.addEventListener('input', () => {
+    currentSetlist().name = setlistNameEl.value;
+    setlistSelect.selectedOptions[0].textContent = setlistNameEl.value || `Untitled ${setlistIndex + 1}`;
+    saveSetlists();
+  });
+
+  setlistNewBtn.addEventListener('click', () => {
+    setlists.push({ name: `Setlist ${setlists.length + 1}`, songs: [newSong('New song')] });
+    setlistIndex = setlists.length - 1;
+    songIndex = 0;
+    render();
+    changed();
+  });
+
+  setlistDelBtn.addEventListener('click', () => {
+    if (!confirm(`Delete setlist "${currentSetlist().name}" and all its songs?`)) return;
+    setlists.splice(setlistIndex, 1);
+    if (!setlists.length) setlists.push({ name: 'My setlist', songs: [newSong('New song')] });
+    setlistIndex = Math.min(setlistIndex, setlists.length - 1);
+    songIndex = 0;
+    render();
+    changed();
+  });
+
+  // ─── Songs ─────────────────────────────────────────────────────────────────
+
+  songSelect.addEventListener('change', () => {
+    songIndex = Number(songSelect.value);
+    render();
+    changed();
+  });
+
+  songNameEl.addEventListener('input', () => {
+    currentSong().name = songNameEl.value;
+    songSelect.selectedOptions[0].textContent = songNameEl.value || `Untitled ${songIndex + 1}`;
+    if (songMode) songTitleEl.textContent = songNameEl.value;
+    saveSetlists();
+  });
+
+  songNewBtn.addEventListener('click', () => {
+    const songs = currentSetlist().songs;
+    songs.push(newSong(`Song ${songs.length + 1}`));
+    songIndex = songs.length - 1;
+    render();
+    changed();
+  });
+
+  songDelBtn.addEventListener('click', () => {
+    const songs = currentSetlist().songs;
+    if (!confirm(`Delete song "${currentSong().name}"?`)) return;
+    songs.splice(songIndex, 1);
+    if (!songs.length) songs.push(newSong('New song'));
+    render();
+    changed();
+  });
+
+  songPrevBtn.addEventListener('click', () => stepSong(-1));
+  songNextBtn.addEventListener('click', () => stepSong(1));
+  songLoadBtn.addEventListener('click', loadSong);
+  songExitBtn.addEventListener('click', exitSong);
+
+  // ─── Sections ──────────────────────────────────────────────────────────────
+
+  sectionList.addEventListener('change', (e) => {
+    const card = e.target.closest('.section-card');
+    const key  = e.target.dataset.field;
+    if (!card || !key) return;
+
+    const section = currentSong().sections[Number(card.dataset.index)];
+    if (key === 'timeSig') {
+      // Reject typos instead of silently playing 4/4
+      const valid = parseMeter(e.target.value) !== null;
+      e.target.classList.toggle('invalid', !valid);
+      if (!valid) return;
+    }
+    section[key] = key === 'name' || key === 'timeSig' ? e.target.value : Number(e.target.value);
+    changed();
+  });
+
+  sectionList.addEventListener('click', (e) => {
+    const btn  = e.target.closest('button[data-action]');
+    const card = e.target.closest('.section-card');
+    if (!btn || !card) return;
+
+    const sections = currentSong().sections;
+    const index    = Number(card.dataset.index);
+    const target   = btn.dataset.action === 'up' ? index - 1 : index + 1;
+
+    if (btn.dataset.action === 'remove') {
+      sections.splice(index, 1);
+    } else if (target >= 0 && target < sections.length) {
+      [sections[index], sections[target]] = [sections[target], sections[index]];
+    }
+    render();
+    changed();
+  });
+
+  sectionAddBtn.addEventListener('click', () => {
+    const sections = currentSong().sections;
+    const last = sections[sections.length - 1];
+    sections.push({ ...last, name: `Section ${sections.length + 1}` });
+    render();
+    changed();
+  });
+
+  render();
+}
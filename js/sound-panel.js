@@ -0,0 +1,168 @@
+/**
+ * sound-panel.js — Pick a voice and pitch for each click role, and import
+ * short user samples.
+ *
+ * Imported files are decoded once and cached (still encoded) in IndexedDB,
+ * then decoded again on the next load. Role choices live in localStorage.
+ *
+ * Call initSoundPanel(metronome) from main.js after initUI(metronome).
+ */
+
+function initSoundPanel(metronome) {
+  const MAX_SAMPLE_SECONDS = 2;
+
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const roleRows     = document.querySelectorAll('#sound-panel .sound-role');
+  const sampleFile   = document.getElementById('sample-file');
+  const sampleStatus = document.getElementById('sample-status');
+  const sampleList   = document.getElementById('sample-list');
+
+  const sounds = metronome.sounds;
+
+  // ─── Helpers ───────────────────────────────────────────────────────────────
+
+  function saveRoles() {
+    localStorage.setItem('sounds', JSON.stringify(sounds.roles));
+  }
+
+  function renderRoles() {
+    const voices = sounds.voices;
+    roleRows.forEach(row => {
+      const { sound, pitch } = sounds.roles[row.dataset.role];
+      const select = row.querySelector('.sound-select');
+      select.replaceChildren(...voices.map(voice => {
+        const option = document.createElement('option');
+        option.value = voice.id;
+        option.textContent = voice.name;
+        return option;
+      }));
+      select.value = sound;
+
+      const pitchInput = row.querySelector('.sound-pitch');
+      pitchInput.value = pitch;
+      pitchInput.title = `${pitch > 0 ? '+' : ''}${pitch} semitones`;
+    });
+  }
+
+  function renderSamples() {
+    const samples = sounds.voices.filter(voice => voice.id.startsWith('sample:'));
+    sampleList.replaceChildren(...samples.map(voice => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = voice.name;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn-small';
+      remove.textContent = '×';
+      remove.title = `Delete ${voice.name}`;
+      remove.dataset.id = voice.id.slice('sample:'.length);
+      item.append(name, remove);
+      return item;
+    }));
+  }
+
+  // decodeAudioData detaches the buffer it's given, so always hand it a copy
+  function decodeSample(data) {
+    const OAC = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    return new OAC(1, 1, 44100).decodeAudioData(data.slice(0));
+  }
+
+  async function preview(role) {
+    await metronome.resume();
+    const ctx = metronome.audioContext;
+    sounds.play(ctx, ctx.destination, role, ctx.currentTime + 0.01, metronome.volume);
+  }
+
+  // ─── Roles ─────────────────────────────────────────────────────────────────
+
+  roleRows.forEach(row => {
+    const role = row.dataset.role;
+    row.querySelector('.sound-select').addEventListener('change', (e) => {
+      sounds.setRole(role, { sound: e.target.value });
+      saveRoles();
+      preview(role);
+    });
+    row.querySelector('.sound-pitch').addEventListener('input', (e) => {
+      sounds.setRole(role, { pitch: Number(e.target.value) });
+      e.target.title = `${e.target.value > 0 ? '+' : ''}${e.target.value} semitones`;
+      saveRoles();
+    });
+    row.querySelector('.sound-pitch').addEventListener('change', () => preview(role));
+    row.querySelector('.sound-preview').addEventListener('click', () => preview(role));
+  });
+
+  // ─── Samples ───────────────────────────────────────────────────────────────
+
+  sampleFile.addEventListener('change', async () => {
+    const file = sampleFile.files[0];
+    sampleFile.value = '';
+    if (!file) return;
+
+    sampleStatus.textContent = 'Loading…';
+    try {
+      const data   = await file.arrayBuffer();
+      const buffer = await decodeSample(data);
+      if (buffer.duration > MAX_SAMPLE_SECONDS) {
+        sampleStatus.textContent = `Too long — samples can be up to ${MAX_SAMPLE_SECONDS} s`;
+        return;
+      }
+
+      const id   = Date.now().toString(36);
+      const name = file.name.replace(/\.[^.]+$/, '') || 'Sample';
+      sounds.addSample(id, name, buffer);
+      renderRoles();
+      renderSamples();
+      sampleStatus.textContent = `Added "${name}"`;
+
+      // Cache the original file so it survives a reload
+      await dbPut('samples', { id, name, type: file.type, data }).catch(err => {
+        // The sample still works; it just won't be there after a reload
+        console.warn('Sample not saved:', err);
+        sampleStatus.textContent = `Added "${name}", but it couldn't be saved for next time`;
+      });
+    } catch (e) {
+      console.warn('Sample import failed:', e);
+      sampleStatus.textContent = "Couldn't load that file — try a short WAV or MP3";
+    }
+  });
+
+  sampleList.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-id]');
+    if (!btn) return;
+    sounds.removeSample(btn.dataset.id);
+    renderRoles();
+    renderSamples();
+    saveRoles();
+    dbDelete('samples', btn.dataset.id).catch(err => console.warn('Sample delete failed:', err));
+  });
+
+  // ─── Restore saved state ───────────────────────────────────────────────────
+  // Roles first (a role on a sample plays the plain click until it's
+  // decoded), then the cached samples from IndexedDB.
+
+  try {
+    const saved = JSON.parse(localStorage.getItem('sounds'));
+    if (saved) Object.keys(sounds.roles).forEach(role => saved[role] && sounds.setRole(role, saved[role]));
+  } catch (e) {
+    console.warn('Ignoring invalid saved sounds:', e);
+  }
+  renderRoles();
+
+  dbGetAll('samples')
+    .then(records => Promise.all(records.map(async record => {
+      try {
+        sounds.addSample(record.id, record.name, await decodeSample(record.data));
+      } catch (e) {
+        console.warn(`Couldn't decode cached sample "${record.name}":`, e);
+      }
+    })))
+    .catch(e => console.warn('Cached samples unavailable:', e))
+    .then(() => {
+      // Any role still pointing at a sample that didn't come back goes back to the click
+      Object.entries(sounds.roles).forEach(([role, { sound }]) => {
+        if (!sounds.hasVoice(sound)) sounds.setRole(role, { sound: 'click' });
+      });
+      renderRoles();
+      renderSamples();
+    });
+}
@@ -0,0 +1,206 @@
+/**
+ * sounds.js — Click voices for the metronome.
+ *
+ * Every voice is synthesised from Web Audio nodes at schedule time (so it
+ * works the same in a live AudioContext and an OfflineAudioContext), except
+ * user samples, which are decoded AudioBuffers played back as-is.
+ *
+ * A SoundBank maps each click role (accent, beat, subdivision) to a voice
+ * and a pitch offset in semitones.
+ */
+
+// Shared white-noise buffer per context — hi-hats and rimshots filter it
+const noiseBuffers = new WeakMap();
+
+function getNoiseBuffer(ctx) {
+  let buffer = noiseBuffers.get(ctx);
+  if (!buffer) {
+    buffer = ctx.createBuffer(1, Math.round(ctx.sampleRate * 0.5), ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    noiseBuffers.set(ctx, buffer);
+  }
+  return buffer;
+}
+
+// Gain node with an instant attack and exponential decay to silence
+function envelope(ctx, time, gain, decay) {
+  const env = ctx.createGain();
+  env.gain.setValueAtTime(Math.max(gain, 0.0001), time);
+  env.gain.exponentialRampToValueAtTime(0.0001, time + decay);
+  return env;
+}
+
+function tone(ctx, type, freq, time, duration) {
+  const osc = ctx.createOscillator();
+  osc.type = type;
+  osc.frequency.value = freq;
+  osc.start(time);
+  osc.stop(time + duration);
+  return osc;
+}
+
+function noise(ctx, time, duration) {
+  const src = ctx.createBufferSource();
+  src.buffer = getNoiseBuffer(ctx);
+  src.start(time);
+  src.stop(time + duration);
+  return src;
+}
+
+function filter(ctx, type, freq, q) {
+  const node = ctx.createBiquadFilter();
+  node.type = type;
+  node.frequency.value = freq;
+  node.Q.value = q;
+  return node;
+}
+
+/**
+ * Built-in voices. Each schedules one hit at `time` into `out`; `rate` is
+ * the pitch as a frequency ratio (1 = the voice's natural pitch).
+ */
+const SOUND_VOICES = {
+  click: {
+    name: 'Click',
+    play(ctx, out, time, rate, gain) {
+      const duration = 0.03;
+      const env = envelope(ctx, time, gain, duration);
+      tone(ctx, 'sine', 1000 * rate, time, duration).connect(env);
+      env.connect(out);
+    },
+  },
+
+  woodblock: {
+    name: 'Woodblock',
+    play(ctx, out, time, rate, gain) {
+      const duration = 0.08;
+      const freq = 880 * rate;
+      const osc  = tone(ctx, 'triangle', freq, time, duration);
+      // A slight downward bend gives the hollow "tock"
+      osc.frequency.setValueAtTime(freq * 1.08, time);
+      osc.frequency.exponentialRampToValueAtTime(freq, time + 0.02);
+      const body = filter(ctx, 'bandpass', freq, 6);
+      const env  = envelope(ctx, time, gain * 2, duration);
+      osc.connect(body).connect(env).connect(out);
+    },
+  },
+
+  cowbell: {
+    name: 'Cowbell',
+    play(ctx, out, time, rate, gain) {
+      const duration = 0.35;
+      // Two detuned square waves through a band-pass — the classic drum-machine bell
+      const body = filter(ctx, 'bandpass', 2600 * rate, 1.5);
+      const env  = ctx.createGain();
+      env.gain.setValueAtTime(Math.max(gain, 0.0001), time);
+      env.gain.exponentialRampToValueAtTime(Math.max(gain * 0.3, 0.0001), time + 0.04);
+      env.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+      tone(ctx, 'square', 540 * rate, time, duration).connect(body);
+      tone(ctx, 'square', 800 * rate, time, duration).connect(body);
+      body.connect(env).connect(out);
+    },
+  },
+
+  hihat: {
+    name: 'Hi-hat',
+    play(ctx, out, time, rate, gain) {
+      const duration = 0.06;
+      const high = filter(ctx, 'highpass', 7000 * rate, 1);
+      const env  = envelope(ctx, time, gain, duration);
+      noise(ctx, time, duration).connect(high).connect(env).connect(out);
+    },
+  },
+
+  rimshot: {
+    name: 'Rimshot',
+    play(ctx, out, time, rate, gain) {
+      const duration = 0.05;
+      const env = envelope(ctx, time, gain, duration);
+      // Short tonal "ping" of the rim plus a band-passed crack of noise
+      tone(ctx, 'triangle', 1700 * rate, time, duration).connect(env);
+      const crack = filter(ctx, 'bandpass', 3000 * rate, 2);
+      const crackEnv = envelope(ctx, time, gain * 1.5, 0.02);
+      noise(ctx, time, 0.02).connect(crack).connect(crackEnv).connect(out);
+      env.connect(out);
+    },
+  },
+};
+
+class SoundBank {
+  constructor() {
+    // Click role → { sound, pitch }; pitch is in semitones. The defaults
+    // reproduce the original 1500 / 1000 / 600 Hz sine clicks.
+    this.roles = {
+      accent:      { sound: 'click', pitch: 7 },
+      beat:        { sound: 'click', pitch: 0 },
+      subdivision: { sound: 'click', pitch: -9 },
+      countIn:     { sound: 'woodblock', pitch: 0 },
+    };
+
+    // User samples: id → { name, buffer }. Sample voices are named 'sample:<id>'.
+    this._samples = new Map();
+  }
+
+  // Every selectable voice: [{ id, name }], built-ins first
+  get voices() {
+    const builtIn = Object.entries(SOUND_VOICES).map(([id, voice]) => ({ id, name: voice.name }));
+    const samples = [...this._samples].map(([id, sample]) => ({ id: `sample:${id}`, name: sample.name }));
+    return builtIn.concat(samples);
+  }
+
+  hasVoice(sound) {
+    return sound in SOUND_VOICES || this._samples.has(String(sound).replace(/^sample:/, ''));
+  }
+
+  setRole(role, { sound, pitch }) {
+    if (!(role in this.roles)) return;
+    const current = this.roles[role];
+    this.roles[role] = {
+      sound: sound !== undefined ? String(sound) : current.sound,
+      pitch: pitch !== undefined ? Math.min(24, Math.max(-24, Number(pitch) || 0)) : current.pitch,
+    };
+  }
+
+  addSample(id, name, buffer) {
+    this._samples.set(String(id), { name, buffer });
+  }
+
+  // Roles that used the sample fall back to the plain click
+  removeSample(id) {
+    this._samples.delete(String(id));
+    for (const role of Object.keys(this.roles)) {
+      if (this.roles[role].sound === `sample:${id}`) this.roles[role].sound = 'click';
+    }
+  }
+
+  /**
+   * Schedule one hit of `role` at `time`. `transpose` adds semitones on top
+   * of the role's own pitch (used for secondary accents).
+   */
+  play(ctx, out, role, time, gain, transpose = 0) {
+    const { sound, pitch } = this.roles[role] || this.roles.beat;
+    this.playVoice(ctx, out, sound, time, gain, pitch + transpose);
+  }
+
+  playVoice(ctx, out, sound, time, gain, pitch = 0) {
+    const rate = Math.pow(2, pitch / 12);
+
+    if (sound.startsWith('sample:')) {
+      const sample = this._samples.get(sound.slice(7));
+      if (sample) {
+        const src = ctx.createBufferSource();
+        src.buffer = sample.buffer;
+        src.playbackRate.value = rate;
+        const amp = ctx.createGain();
+        amp.gain.value = gain;
+        src.connect(amp).connect(out);
+        src.start(time);
+        return;
+      }
+      sound = 'click'; // sample not loaded (yet) — don't go silent
+    }
+
+    (SOUND_VOICES[sound] || SOUND_VOICES.click).play(ctx, out, time, rate, gain);
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * tap-game.js — Tap-along accuracy game.
+ *
+ * While the metronome plays, tap the pad (or F / J) on every beat for a
+ * round of a few bars. Each tap's event time is mapped into AudioContext
+ * time — with the calibrated visualOffset taken off, as in calibration.js
+ * — and scored against the nearest scheduled beat: perfect, good or miss.
+ * Beats with no tap are misses too. A round ends with a summary, and the
+ * harder levels hide the beat display and thin the click out through gap
+ * training, so only your own sense of time is left.
+ *
+ * Call initTapGame(metronome) from main.js after initUI(metronome).
+ */
+
+function initTapGame(metronome) {
+  const PERFECT_MS = 25; // within this of the beat is perfect
+  const GOOD_MS    = 60; // within this is good, anything further a miss
+
+  // Later levels are harder; `gap` is a gap training config used for the round
+  const LEVELS = [
+    { name: 'Watch & listen' },
+    { name: 'Listen only',            hide: true },
+    { name: 'Every other bar silent', hide: true, gap: { mode: 'fixed', playBars: 1, silentBars: 1 } },
+    { name: 'Random gaps',            hide: true, gap: { mode: 'random', barChance: 0.25, beatChance: 0.25 } },
+  ];
+
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const container   = document.querySelector('.container');
+  const levelSelect = document.getElementById('game-level');
+  const barsSelect  = document.getElementById('game-bars');
+  const startBtn    = document.getElementById('game-start');
+  const pad         = document.getElementById('game-pad');
+  const judgementEl = document.getElementById('game-judgement');
+  const streakEl    = document.getElementById('game-streak');
+  const summaryEl   = document.getElementById('game-summary');
+  const harderBtn   = document.getElementById('game-harder');
+  const roundList   = document.getElementById('game-rounds');
+
+  let waiting     = false; // armed, waiting for the next real downbeat
+  let round       = null;
+  let startedHere = false; // stop the metronome again when the round ends
+  let savedGap    = null;  // the user's own gap training, put back afterwards
+  let levelIndex  = null;  // the level being played, whatever the dropdown says now
+
+  // ─── Helpers ───────────────────────────────────────────────────────────────
+
+  function save() {
+    localStorage.setItem('tapGame', JSON.stringify({ level: Number(levelSelect.value), bars: Number(barsSelect.value) }));
+  }
+
+  function describeOffset(ms) {
+    const rounded = Math.round(ms);
+    return rounded === 0 ? 'on the beat' : `${Math.abs(rounded)} ms ${rounded < 0 ? 'early' : 'late'}`;
+  }
+
+  function accuracy({ perfect, good, miss }) {
+    const total = perfect + good + miss;
+    return total ? Math.round((perfect + good / 2) / total * 100) : 0;
+  }
+
+  function showJudgement(result, ms) {
+    judgementEl.textContent = result === 'miss' ? 'Miss' : `${result === 'perfect' ? 'Perfect' : 'Good'} ${describeOffset(ms)}`;
+    judgementEl.className = `game-judgement ${result}`;
+    streakEl.textContent = round.streak > 1 ? `Streak ${round.streak}` : '';
+  }
+
+  function judge(result, ms) {
+    round.counts[result]++;
+    if (result === 'miss') {
+      round.streak = 0;
+    } else {
+      round.streak++;
+      round.bestStreak = Math.max(round.bestStreak, round.streak);
+      round.offsets.push(ms);
+    }
+    showJudgement(result, ms);
+  }
+
+  // The previous beat's window has closed — untapped, it's a miss
+  function closeBeat() {
+    if (round.beat !== null && !round.hits.has(round.beat)) judge('miss');
+    round.beat = null;
+  }
+
+  // `timeStamp` is the input event's, in performance.now() milliseconds
+  function tap(timeStamp) {
+    if (!round) return;
+    const time  = metronome.performanceToAudioTime(timeStamp) - metronome.visualOffset;
+    const click = metronome.nearestClick(time, { beatsOnly: true });
+    if (!click || click.bar < round.startBar || click.bar >= round.endBar) return;
+
+    const ms = click.offset * 1000;
+    if (Math.abs(ms) > GOOD_MS || round.hits.has(click.time)) {
+      judge('miss'); // off the beat, or a second tap on one
+      return;
+    }
+    round.hits.add(click.time);
+    judge(Math.abs(ms) <= PERFECT_MS ? 'perfect' : 'good', ms);
+  }
+
+  function applyLevel(level) {
+    container.classList.toggle('tap-game-blind', Boolean(level.hide));
+    if (level.gap) {
+      savedGap = metronome.gap;
+      metronome.gap = level.gap;
+    }
+  }
+
+  function restoreLevel(level) {
+    container.classList.remove('tap-game-blind');
+    if (level.gap) metronome.gap = savedGap;
+    savedGap = null;
+  }
+
+  async function begin() {
+    levelIndex = Number(levelSelect.value);
+    waiting = true;
+    round = null;
+    applyLevel(LEVELS[levelIndex]);
+    startBtn.textContent = 'Stop';
+    harderBtn.hidden = true;
+    summaryEl.textContent = '';
+    judgementEl.textContent = 'Get ready…';
+    judgementEl.className = 'game-judgement';
+    streakEl.textContent = '';
+
+    startedHere = !metronome.isRunning;
+    if (startedHere) {
+      await metronome.resume();
+      metronome.start();
+    }
+  }
+
+  // The round starts on a downbeat so it covers whole bars
+  function startRound(bar) {
+    waiting = false;
+    round = {
+      index:      levelIndex,
+      bars:       Number(barsSelect.value),
+      startBar:   bar,
+      endBar:     bar + Number(barsSelect.value),
+      counts:     { perfect: 0, good: 0, miss: 0 },
+      hits:       new Set(), // times of the beats already tapped
+      beat:       null,      // time of the beat whose window is open
+      streak:     0,
+      bestStreak: 0,
+      offsets:    [],
+    };
+    judgementEl.textContent = 'Go!';
+  }
+
+  // `completed` is false when the round was cut short
+  function end(completed) {
+    const finished = round;
+    if (finished && completed) closeBeat();
+    round   = null;
+    waiting = false;
+    restoreLevel(LEVELS[levelIndex]);
+    levelIndex = null;
+    startBtn.textContent = 'Play';
+    if (startedHere) metronome.stop();
+    startedHere = false;
+
+    if (!finished || !completed) {
+      judgementEl.textContent = '';
+      streakEl.textContent = '';
+      summaryEl.textContent = 'Round stopped';
+      return;
+    }
+    showSummary(finished);
+  }
+
+  function showSummary(finished) {
+    const { counts, offsets, bestStreak } = finished;
+    const mean = offsets.length ? offsets.reduce((sum, ms) => sum + ms, 0) / offsets.length : 0;
+    const text = `${accuracy(counts)}% — ${counts.perfect} perfect, ${counts.good} good, ${counts.miss} missed`
+      + ` · best streak ${bestStreak}`
+      + (offsets.length ? ` · on average ${describeOffset(mean)}` : '');
+    summaryEl.textContent = text;
+
+    const item = document.createElement('li');
+    item.textContent = `${LEVELS[finished.index].name}, ${finished.bars} bars: ${text}`;
+    roundList.prepend(item);
+
+    harderBtn.hidden = finished.index >= LEVELS.length - 1;
+  }
+
+  // ─── Events ────────────────────────────────────────────────────────────────
+
+  startBtn.addEventListener('click', () => {
+    if (waiting || round) end(false);
+    else begin();
+  });
+
+  harderBtn.addEventListener('click', () => {
+    levelSelect.value = Math.min(LEVELS.length - 1, Number(levelSelect.value) + 1);
+    save();
+    begin();
+  });
+
+  [levelSelect, barsSelect].forEach(el => el.addEventListener('change', save));
+
+  // Judge the moment the finger lands; a click would only come on release
+  pad.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    tap(e.timeStamp);
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (!round || e.repeat || e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+    if (e.key === 'f' || e.key === 'F' || e.key === 'j' || e.key === 'J') {
+      e.preventDefault();
+      tap(e.timeStamp);
+    }
+  });
+
+  metronome.addEventListener('bar', (e) => {
+    if (e.detail.countIn) return;
+    if (waiting) startRound(e.detail.bar);
+    else if (round && e.detail.bar >= round.endBar) end(true);
+  });
+
+  metronome.addEventListener('beat', (e) => {
+    if (!round || e.detail.bar >= round.endBar) return;
+    closeBeat();
+    round.beat = e.detail.time;
+  });
+
+  metronome.addEventListener('stop', () => {
+    if (waiting || round) end(false);
+  });
+
+  // ─── localStorage — restore saved state ────────────────────────────────────
+
+  levelSelect.replaceChildren(...LEVELS.map((level, index) => {
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = level.name;
+    return option;
+  }));
+
+  try {
+    const saved = JSON.parse(localStorage.getItem('tapGame'));
+    if (saved) {
+      if (LEVELS[saved.level]) levelSelect.value = saved.level;
+      if ([...barsSelect.options].some(option => Number(option.value) === saved.bars)) barsSelect.value = saved.bars;
+    }
+  } catch (e) {
+    console.warn('Ignoring invalid saved tap game settings:', e);
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * trainer.js — Tempo trainer panel.
+ *
+ * Builds the trainer config from the form and hands it to the Metronome,
+ * which applies the steps / ramp itself while scheduling. This file only
+ * edits, stores and displays it.
+ *
+ * Call initTrainer(metronome, ui) from main.js after initUI(metronome).
+ */
+
+function initTrainer(metronome, ui) {
+  // ─── Element refs ──────────────────────────────────────────────────────────
+  const enabledBox     = document.getElementById('trainer-enabled');
+  const startInput     = document.getElementById('trainer-start');
+  const targetInput    = document.getElementById('trainer-target');
+  const modeSelect     = document.getElementById('trainer-mode');
+  const stepInput      = document.getElementById('trainer-step');
+  const everyLabel     = document.getElementById('trainer-every-label');
+  const everyInput     = document.getElementById('trainer-every');
+  const unitSelect     = document.getElementById('trainer-unit');
+  const cycleBox       = document.getElementById('trainer-cycle');
+  const dropBackInput  = document.getElementById('trainer-drop-back');
+  const statusEl       = document.getElementById('trainer-status');
+  const currentEl      = document.getElementById('trainer-current');
+  const targetEl       = document.getElementById('trainer-target-display');
+
+  // ─── Helpers ───────────────────────────────────────────────────────────────
+
+  function readForm() {
+    return {
+      startBpm:  Number(startInput.value),
+      targetBpm: Number(targetInput.value),
+      step:      Number(stepInput.value),
+      every:     Number(everyInput.value),
+      unit:      unitSelect.value,
+      mode:      modeSelect.value,
+      cycle:     cycleBox.checked,
+      dropBack:  Number(dropBackInput.value),
+    };
+  }
+
+  function fillForm(config) {
+    startInput.value    = config.startBpm;
+    targetInput.value   = config.targetBpm;
+    stepInput.value     = config.step;
+    everyInput.value    = config.every;
+    unitSelect.value    = config.unit;
+    modeSelect.value    = config.mode;
+    cycleBox.checked    = config.cycle;
+    dropBackInput.value = config.dropBack;
+  }
+
+  // Steps happen "every N", a ramp runs "over N"
+  function updateFormState() {
+    const isRamp = modeSelect.value === 'ramp';
+    stepInput.disabled     = isRamp;
+    everyLabel.textContent = isRamp ? 'Over' : 'Every';
+    dropBackInput.disabled = !cycleBox.checked;
+  }
+
+  function updateStatus(bpm = metronome.bpm) {
+    const trainer = metronome.trainer;
+    statusEl.hidden = !trainer;
+    if (!trainer) return;
+    currentEl.textContent = Math.round(bpm);
+    targetEl.textContent  = trainer.targetBpm;
+  }
+
+  function apply() {
+    updateFormState();
+    if (enabledBox.checked) {
+      metronome.trainer = readForm();
+      // Show the values as clamped by the metronome
+      fillForm(metronome.trainer);
+    } else {
+      metronome.trainer = null;
+      metronome.bpm = metronome.bpm; // settle on a whole BPM after a ramp
+    }
+    ui.updateBpmDisplay(metronome.bpm);
+    updateStatus();
+
+    localStorage.setItem('trainer', JSON.stringify({ ...readForm(), enabled: enabledBox.checked }));
+  }
+
+  // ─── Events ────────────────────────────────────────────────────────────────
+
+  [enabledBox, startInput, targetInput, modeSelect, stepInput, everyInput, unitSelect, cycleBox, dropBackInput]
+    .forEach(el => el.addEventListener('change', apply));
+
+  metronome.addEventListener('tempochange', (e) => updateStatus(e.detail.bpm));
+
+  // ─── localStorage — restore saved state ────────────────────────────────────
+
+  try {
+    const saved = JSON.parse(localStorage.getItem('trainer'));
+    if (saved) {
+      fillForm({ ...readForm(), ...saved });
+      enabledBox.checked = Boolean(saved.enabled);
+    }
+  } catch (e) {
+    console.warn('Ignoring invalid saved trainer settings:', e);
+  }
+  updateFormState();
+  if (enabledBox.checked) apply();
+}
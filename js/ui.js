@@ -2,30 +2,46 @@
  * ui.js — DOM bindings and UI update helpers.
  *
  * Exports a single `initUI(metronome)` function that wires every control to
- * the Metronome instance and sets up the beat-indicator animation.
+ * the Metronome instance and animates the beat row as it plays. It returns
+ * `{ refresh, updateBpmDisplay, saveSettings }` so other modules that change
+ * the metronome (e.g. a song switching section) can bring the controls back
+ * in sync, and keep the result if it's the user's choice (a preset), plus
+ * `{ setBpm, toggleMute }` for the same actions as the on-screen controls.
+ * Keyboard shortcuts are in bindings.js.
  */
 
 function initUI(metronome) {
   // ─── Element refs ──────────────────────────────────────────────────────────
+  const container       = document.querySelector('.container');
   const startStopBtn    = document.getElementById('start-stop');
   const tapTempoBtn     = document.getElementById('tap-tempo');
   const bpmValueEl      = document.getElementById('bpm-value');
   const bpmSlider       = document.getElementById('bpm-slider');
   const bpmUpBtn        = document.getElementById('bpm-up');
   const bpmDownBtn      = document.getElementById('bpm-down');
-  const beatIndicator   = document.getElementById('beat-indicator');
   const beatDisplay     = document.getElementById('beat-display');
+  const beatRow         = document.getElementById('beat-row');
   const beatsPerMeasure = document.getElementById('beats-per-measure');
-  const timeSigSelect    = document.getElementById('time-sig');
+  const groupDisplay    = document.getElementById('group-display');
+  const timeSigInput     = document.getElementById('time-sig');
+  const groupingInput    = document.getElementById('grouping');
+  const groupingOptions  = document.getElementById('grouping-options');
+  const beatUnitSelect   = document.getElementById('beat-unit');
   const volumeSlider     = document.getElementById('volume');
+  const muteBtn          = document.getElementById('mute');
   const subdivSelect     = document.getElementById('subdivision');
-  const presetsList      = document.getElementById('presets-list');
+  const swingRow         = document.querySelector('.swing-row');
+  const swingPreset      = document.getElementById('swing-preset');
+  const swingSlider      = document.getElementById('swing');
+  const swingValue       = document.getElementById('swing-value');
   const themeToggleBtn   = document.getElementById('theme-toggle');
+  const copyLinkBtn      = document.getElementById('copy-link');
 
   // ─── Helpers ───────────────────────────────────────────────────────────────
 
   function updateBpmDisplay(bpm) {
-    bpmValueEl.textContent = bpm;
+    // The tempo trainer can glide through fractional tempos
+    bpmValueEl.textContent = Math.round(bpm);
     bpmSlider.value = bpm;
   }
 
@@ -35,35 +51,121 @@ function initUI(metronome) {
     localStorage.setItem('bpm', metronome.bpm);
   }
 
-  function flashBeat(beat) {
-    const isAccent = beat === 0;
+  function flashBeat({ beat, group, silent, countIn }) {
     beatDisplay.textContent = beat + 1;
+    highlightBeat(beat);
+    highlightGroup(group);
+    // Gap training: the beat still counts but makes no sound
+    container.classList.toggle('silent-beat', silent);
+    container.classList.toggle('counting-in', countIn);
+  }
 
-    // Trigger CSS pulse animation by toggling a class
-    beatIndicator.classList.remove('pulse', 'pulse-accent');
+  // Pulse the dot of the slot that's sounding (beats and subdivisions)
+  function flashSlot({ beat, subdiv }) {
+    const previous = beatRow.querySelector('.beat-slot.playing');
+    if (previous) previous.classList.remove('playing');
+    const slot = beatRow.querySelector(`.beat-slot[data-beat="${beat}"][data-subdiv="${subdiv}"]`);
+    if (!slot) return;
     // Force reflow so the browser restarts the animation
-    void beatIndicator.offsetWidth;
-    beatIndicator.classList.add(isAccent ? 'pulse-accent' : 'pulse');
+    void slot.offsetWidth;
+    slot.classList.add('playing');
+  }
+
+  // ─── Beat row / accent editor ──────────────────────────────────────────────
+  // One group per beat, one dot per subdivision slot. Clicking a dot cycles
+  // it through accent → normal → ghost → mute. Dots sit at their swung
+  // positions within the beat.
+
+  const SLOT_SPACING = 26;            // px per straight subdivision slot
+  const DOT_SIZE     = { main: 20, sub: 12 }; // matches .beat-slot / .beat-slot-main
+
+  function spaceSlots(group) {
+    const width = metronome.subdivision * SLOT_SPACING;
+    let end = 0; // right edge of the previous dot
+    [...group.children].forEach((slot, subdiv) => {
+      const left = metronome.slotOffset(subdiv) * width;
+      slot.style.marginLeft = subdiv === 0 ? '' : `${Math.max(0, Math.round(left - end))}px`;
+      end = left + (subdiv === 0 ? DOT_SIZE.main : DOT_SIZE.sub);
+    });
+    // Fixed width per beat so swing doesn't shift the following beats
+    group.style.width = `${width + 10}px`; // + padding and border
+  }
+
+  function renderBeatRow() {
+    const pattern = metronome.accentPattern;
+    beatRow.replaceChildren(...pattern.map((row, beat) => {
+      const group = document.createElement('div');
+      group.className = 'beat-group';
+      // Visually separate additive groups (2+2+3...)
+      if (beat !== 0 && metronome.meter.grouping && metronome.groupOf(beat).position === 0) {
+        group.classList.add('group-start');
+      }
+      row.forEach((level, subdiv) => {
+        const slot = document.createElement('button');
+        slot.type = 'button';
+        slot.className = subdiv === 0 ? 'beat-slot beat-slot-main' : 'beat-slot';
+        slot.dataset.beat   = beat;
+        slot.dataset.subdiv = subdiv;
+        setSlotLevel(slot, level);
+        group.appendChild(slot);
+      });
+      spaceSlots(group);
+      return group;
+    }));
+  }
+
+  function setSlotLevel(slot, level) {
+    slot.dataset.level = level;
+    const beat = Number(slot.dataset.beat) + 1;
+    const position = slot.dataset.subdiv === '0' ? `Beat ${beat}` : `Beat ${beat}, subdivision ${Number(slot.dataset.subdiv) + 1}`;
+    slot.title = `${position}: ${level}`;
+    slot.setAttribute('aria-label', slot.title);
+  }
+
+  function highlightBeat(beat) {
+    beatRow.querySelectorAll('.beat-group').forEach((group, i) => {
+      group.classList.toggle('active', i === beat);
+    });
+  }
+
+  function saveAccentPattern() {
+    localStorage.setItem('accentPattern', JSON.stringify(metronome.accentPattern));
   }
 
+  beatRow.addEventListener('click', (e) => {
+    const slot = e.target.closest('.beat-slot');
+    if (!slot) return;
+    const level = metronome.cycleAccentLevel(Number(slot.dataset.beat), Number(slot.dataset.subdiv));
+    setSlotLevel(slot, level);
+    saveAccentPattern();
+  });
+
   // ─── Start / Stop ──────────────────────────────────────────────────────────
 
-  startStopBtn.addEventListener('click', async () => {
+  function updateStartStop() {
     if (metronome.isRunning) {
-      metronome.stop();
+      startStopBtn.textContent = 'Stop';
+      startStopBtn.classList.add('running');
+    } else {
       startStopBtn.textContent = 'Start';
       startStopBtn.classList.remove('running');
       beatDisplay.textContent = '1';
-      beatIndicator.classList.remove('pulse', 'pulse-accent');
+      highlightBeat(-1);
+      beatRow.querySelectorAll('.beat-slot.playing').forEach(slot => slot.classList.remove('playing'));
+      highlightGroup(-1);
+      container.classList.remove('silent-beat', 'counting-in');
+    }
+  }
+
+  startStopBtn.addEventListener('click', async () => {
+    if (metronome.isRunning) {
+      metronome.stop();
     } else {
-      // Ensure AudioContext exists and await resume() so the context is
-      // confirmed running before start() schedules the first beat.
+      // Await resume() so the context is confirmed running before start()
+      // schedules the first beat.
       // This prevents the "Start doesn't work after screen lock" bug on mobile.
-      metronome._ensureAudioContext();
-      await metronome._audioCtx.resume();
+      await metronome.resume();
       metronome.start();
-      startStopBtn.textContent = 'Stop';
-      startStopBtn.classList.add('running');
     }
   });
 
@@ -80,7 +182,7 @@ function initUI(metronome) {
     input.type = 'number';
     input.min = 20;
     input.max = 300;
-    input.value = metronome.bpm;
+    input.value = Math.round(metronome.bpm);
     input.className = 'bpm-edit-input';
 
     bpmValueEl.replaceWith(input);
@@ -112,19 +214,113 @@ function initUI(metronome) {
 
   // ─── Time signature ────────────────────────────────────────────────────────
 
-  timeSigSelect.addEventListener('change', () => {
-    const beats = Number(timeSigSelect.value);
-    metronome.beatsPerMeasure = beats;
-    beatsPerMeasure.textContent = beats;
+  function applyMeter(meter) {
+    metronome.meter = meter;
+    showMeter();
+
+    const current = metronome.meter;
+    localStorage.setItem('timeSig', formatMeter(current));
+    localStorage.setItem('grouping', formatGrouping(current.grouping));
+  }
+
+  function showMeter() {
+    const current = metronome.meter;
+
+    timeSigInput.value  = formatMeter(current);
+    groupingInput.value = formatGrouping(current.grouping);
+    timeSigInput.classList.remove('invalid');
+    groupingInput.classList.remove('invalid');
+    beatsPerMeasure.textContent = current.numerator;
     beatDisplay.textContent = '1';
+
+    groupingOptions.replaceChildren(...groupingSuggestions(current.numerator).map(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      return option;
+    }));
+    renderGroupDisplay();
+    renderBeatRow();
+  }
+
+  function setBeatUnit(unit) {
+    metronome.beatUnit = unit;
+    beatUnitSelect.value = metronome.beatUnit;
+    localStorage.setItem('beatUnit', metronome.beatUnit);
+  }
+
+  // Group sizes shown next to the beat counter, current group highlighted
+  function renderGroupDisplay() {
+    const { grouping } = metronome.meter;
+    groupDisplay.replaceChildren();
+    if (!grouping) return;
+    grouping.forEach((size, i) => {
+      if (i > 0) groupDisplay.append('+');
+      const span = document.createElement('span');
+      span.textContent = size;
+      groupDisplay.appendChild(span);
+    });
+  }
+
+  function highlightGroup(group) {
+    groupDisplay.querySelectorAll('span').forEach((span, i) => {
+      span.classList.toggle('active', i === group);
+    });
+  }
+
+  timeSigInput.addEventListener('change', () => {
+    const meter = parseMeter(timeSigInput.value);
+    if (!meter) {
+      timeSigInput.classList.add('invalid');
+      return;
+    }
+
+    const previous = metronome.meter;
+    // Keep a grouping the user already set if it still fits and they didn't
+    // type a new one along with the time signature
+    const typedGrouping = /[+\s]/.test(timeSigInput.value.trim());
+    const kept = parseGrouping(groupingInput.value, meter.numerator);
+    if (!typedGrouping && kept) meter.grouping = kept;
+
+    applyMeter(meter);
+
+    // Compound meters (6/8, 9/8, 12/8) are felt in dotted pulses
+    if (meter.numerator !== previous.numerator || meter.denominator !== previous.denominator) {
+      setBeatUnit(isCompoundMeter(meter.numerator, meter.denominator) ? 'dotted' : 'note');
+    }
   });
 
+  timeSigInput.addEventListener('input', () => timeSigInput.classList.remove('invalid'));
+
+  groupingInput.addEventListener('change', () => {
+    const meter    = metronome.meter;
+    const grouping = parseGrouping(groupingInput.value, meter.numerator);
+    if (grouping === undefined) {
+      groupingInput.classList.add('invalid');
+      return;
+    }
+    applyMeter({ ...meter, grouping });
+  });
+
+  groupingInput.addEventListener('input', () => groupingInput.classList.remove('invalid'));
+
+  beatUnitSelect.addEventListener('change', () => setBeatUnit(beatUnitSelect.value));
+
   // ─── Volume ────────────────────────────────────────────────────────────────
 
   volumeSlider.addEventListener('input', () => {
     metronome.volume = Number(volumeSlider.value);
   });
 
+  // Not saved — a reload never starts silent
+  function toggleMute() {
+    metronome.muted = !metronome.muted;
+    muteBtn.textContent = metronome.muted ? '🔇' : '🔊';
+    muteBtn.setAttribute('aria-pressed', metronome.muted);
+    container.classList.toggle('muted', metronome.muted);
+  }
+
+  muteBtn.addEventListener('click', toggleMute);
+
   // ─── Tap tempo ─────────────────────────────────────────────────────────────
 
   const tapTimes = [];
@@ -150,46 +346,38 @@ function initUI(metronome) {
     }
   });
 
-  // ─── Keyboard shortcuts ────────────────────────────────────────────────────
-
-  document.addEventListener('keydown', (e) => {
-    // Ignore when user is typing in an input
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
-
-    switch (e.key) {
-      case ' ':
-        e.preventDefault();
-        startStopBtn.click();
-        break;
-      case 'ArrowUp':
-        e.preventDefault();
-        setBpm(metronome.bpm + 1);
-        break;
-      case 'ArrowDown':
-        e.preventDefault();
-        setBpm(metronome.bpm - 1);
-        break;
-      case 't':
-      case 'T':
-        tapTempoBtn.click();
-        break;
-    }
-  });
-
   // ─── Subdivisions ──────────────────────────────────────────────────────────
 
   subdivSelect.addEventListener('change', () => {
     metronome.subdivision = Number(subdivSelect.value);
     localStorage.setItem('subdivision', subdivSelect.value);
+    renderBeatRow();
+    showSwing();
   });
 
-  // ─── Presets ───────────────────────────────────────────────────────────────
+  // ─── Swing ─────────────────────────────────────────────────────────────────
+  // Stored and shown as a percentage; the preset menu shows "Custom" for
+  // anything in between.
+
+  function showSwing() {
+    const percent = Math.round(metronome.swing * 100);
+    swingSlider.value = percent;
+    swingValue.textContent = `${percent}%`;
+    const preset = [...swingPreset.options].find(option => Number(option.value) === percent);
+    swingPreset.value = preset ? preset.value : '';
+    // Nothing to swing in quarter notes or triplets
+    swingRow.classList.toggle('disabled', metronome.subdivision % 2 !== 0);
+  }
 
-  presetsList.addEventListener('click', (e) => {
-    const btn = e.target.closest('.preset-btn');
-    if (!btn) return;
-    setBpm(Number(btn.dataset.bpm));
-  });
+  function setSwing(percent) {
+    metronome.swing = percent / 100;
+    localStorage.setItem('swing', metronome.swing);
+    showSwing();
+    renderBeatRow();
+  }
+
+  swingPreset.addEventListener('change', () => setSwing(Number(swingPreset.value)));
+  swingSlider.addEventListener('input', () => setSwing(Number(swingSlider.value)));
 
   // ─── Theme toggle ──────────────────────────────────────────────────────────
 
@@ -199,56 +387,138 @@ function initUI(metronome) {
     localStorage.setItem('theme', theme);
   }
 
+  // ─── Copy link ─────────────────────────────────────────────────────────────
+
+  copyLinkBtn.addEventListener('click', async () => {
+    const link = buildLink(metronome, document.documentElement.dataset.theme);
+    try {
+      await navigator.clipboard.writeText(link);
+      copyLinkBtn.textContent = '✓';
+      setTimeout(() => { copyLinkBtn.textContent = '🔗'; }, 1500);
+    } catch (e) {
+      // No clipboard access (e.g. not a secure context) — let the user copy it
+      window.prompt('Copy this link:', link);
+    }
+  });
+
   themeToggleBtn.addEventListener('click', () => {
     const next = document.documentElement.dataset.theme === 'light' ? 'dark' : 'light';
     applyTheme(next);
   });
 
-  // ─── localStorage — restore saved state ────────────────────────────────────
+  // ─── Restore state — shared link first, then localStorage ──────────────────
 
-  const savedBpm = localStorage.getItem('bpm');
+  const linked = readLinkState();
+  // A linked time signature brings its own grouping (or its default), never the saved one
+  const saved = key => key in linked ? linked[key]
+    : key === 'grouping' && 'timeSig' in linked ? null
+    : localStorage.getItem(key);
+
+  const savedBpm = saved('bpm');
   if (savedBpm) setBpm(Number(savedBpm));
 
-  const savedTimeSig = localStorage.getItem('timeSig');
-  if (savedTimeSig) {
-    timeSigSelect.value = savedTimeSig;
-    metronome.beatsPerMeasure = Number(savedTimeSig);
-    beatsPerMeasure.textContent = savedTimeSig;
+  let savedTimeSig = saved('timeSig');
+  // Older versions stored only the beat count from a fixed 2/4–6/8 dropdown
+  if (savedTimeSig && /^\d+$/.test(savedTimeSig)) {
+    savedTimeSig = savedTimeSig === '6' ? '6/8' : `${savedTimeSig}/4`;
+  }
+  const savedMeter = parseMeter(savedTimeSig);
+  if (savedMeter) {
+    const savedGrouping = saved('grouping');
+    if (savedGrouping !== null) {
+      savedMeter.grouping = parseGrouping(savedGrouping, savedMeter.numerator) || null;
+    }
+    applyMeter(savedMeter);
+  } else {
+    applyMeter(metronome.meter);
   }
 
-  const savedSubdiv = localStorage.getItem('subdivision');
-  if (savedSubdiv) {
+  const savedBeatUnit = saved('beatUnit');
+  if (savedBeatUnit) setBeatUnit(savedBeatUnit);
+
+  const savedSubdiv = saved('subdivision');
+  if (savedSubdiv && [...subdivSelect.options].some(option => option.value === savedSubdiv)) {
     subdivSelect.value = savedSubdiv;
     metronome.subdivision = Number(savedSubdiv);
   }
 
-  const savedVolume = localStorage.getItem('volume');
+  const savedSwing = saved('swing');
+  if (savedSwing) metronome.swing = Number(savedSwing);
+  showSwing();
+
+  const savedPattern = localStorage.getItem('accentPattern');
+  if (savedPattern) {
+    try {
+      metronome.accentPattern = JSON.parse(savedPattern);
+    } catch (e) {
+      console.warn('Ignoring invalid saved accent pattern:', e);
+    }
+  }
+  renderBeatRow();
+
+  const savedVolume = saved('volume');
   if (savedVolume) {
-    volumeSlider.value = savedVolume;
     metronome.volume = Number(savedVolume);
+    volumeSlider.value = metronome.volume;
   }
 
-  const savedTheme = localStorage.getItem('theme') || 'dark';
+  const savedTheme = saved('theme') || 'dark';
   applyTheme(savedTheme);
 
-  timeSigSelect.addEventListener('change', () => {
-    localStorage.setItem('timeSig', timeSigSelect.value);
-  });
+  // A link's setup becomes the saved one, and leaves the address bar so a
+  // reload doesn't undo later changes
+  if (Object.keys(linked).length) {
+    saveSettings();
+    history.replaceState(null, '', stripLinkState());
+  }
 
   volumeSlider.addEventListener('input', () => {
     localStorage.setItem('volume', volumeSlider.value);
   });
 
-  // ─── Beat callback ─────────────────────────────────────────────────────────
+  // ─── Metronome events ──────────────────────────────────────────────────────
+
+  metronome.addEventListener('start', updateStartStop);
+  metronome.addEventListener('stop', updateStartStop);
+  metronome.addEventListener('beat', (e) => flashBeat(e.detail));
+  metronome.addEventListener('subdivision', (e) => flashSlot(e.detail));
+  // Trainer steps and song sections change the tempo as they're heard
+  metronome.addEventListener('tempochange', (e) => updateBpmDisplay(e.detail.bpm));
+
+  // ─── External changes ──────────────────────────────────────────────────────
+  // Shows whatever the metronome is set to now without saving it, so e.g. a
+  // song's section tempos don't replace the user's own saved settings.
+
+  function refresh() {
+    updateBpmDisplay(metronome.bpm);
+    showMeter();
+    beatUnitSelect.value = metronome.beatUnit;
+    subdivSelect.value   = metronome.subdivision;
+    volumeSlider.value   = metronome.volume;
+    showSwing();
+    updateStartStop();
+  }
 
-  metronome.onBeat = flashBeat;
+  // Keep whatever the metronome is set to now as the user's own settings
+  // (e.g. after loading a preset), as if they'd set each control by hand
+  function saveSettings() {
+    const meter = metronome.meter;
+    localStorage.setItem('bpm', metronome.bpm);
+    localStorage.setItem('timeSig', formatMeter(meter));
+    localStorage.setItem('grouping', formatGrouping(meter.grouping));
+    localStorage.setItem('beatUnit', metronome.beatUnit);
+    localStorage.setItem('subdivision', metronome.subdivision);
+    localStorage.setItem('swing', metronome.swing);
+    localStorage.setItem('volume', metronome.volume);
+    saveAccentPattern();
+  }
 
   // ─── iOS audio unlock ──────────────────────────────────────────────────────
   // iOS Safari suspends AudioContext until a user gesture. Pre-warm it on the
   // first touch so it's ready when Start is pressed.
   document.addEventListener('touchstart', () => {
-    metronome._ensureAudioContext();
-    const ctx = metronome._audioCtx;
-    if (ctx.state === 'suspended') ctx.resume();
+    metronome.resume();
   }, { once: true });
+
+  return { refresh, updateBpmDisplay, saveSettings, setBpm, toggleMute };
 }
@@ -0,0 +1,196 @@
+/**
+ * voice.js — A tiny formant synthesiser for spoken counting.
+ *
+ * The words "one"…"twelve" and "and" are built from phoneme-like segments
+ * (formant targets for vowels, filtered noise for consonants) and rendered
+ * once per AudioContext into AudioBuffers, so a count is scheduled at an
+ * exact audio time like any click — no speech API, no timers, no files.
+ *
+ * speak(ctx, out, word, time, gain) lines the start of the word's voiced
+ * part (where a listener hears the beat) up with `time`.
+ */
+
+const VOICE_NUMBERS = ['one', 'two', 'three', 'four', 'five', 'six',
+                       'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'];
+
+/**
+ * Segments: [kind, ms, f1, f2, f3, level].
+ *   v — voiced (vowels, glides, l/r/v), f1–f3 are formant targets in Hz
+ *   n — nasal: voiced, quieter
+ *   h — aspiration: noise through the vowel formants
+ *   f — fricative: noise through one band, f2 = centre, f3 = bandwidth
+ *   b — burst (t, k, d): a short fricative that dies away
+ *   - — silence (the closure before a stop)
+ */
+const VOICE_WORDS = {
+  one:    [['v', 60, 300, 610, 2200, 0.6], ['v', 160, 640, 1190, 2390, 1], ['n', 110, 280, 1700, 2600, 0.45]],
+  two:    [['b', 15, 0, 3500, 2000, 0.5], ['h', 45, 300, 1100, 2300, 0.25], ['v', 220, 300, 870, 2240, 1]],
+  three:  [['f', 90, 0, 6000, 4000, 0.2], ['v', 50, 420, 1300, 1600, 0.6], ['v', 190, 270, 2290, 3010, 1]],
+  four:   [['f', 90, 0, 5000, 4000, 0.25], ['v', 170, 570, 840, 2410, 1], ['v', 90, 420, 1300, 1600, 0.6]],
+  five:   [['f', 90, 0, 5000, 4000, 0.25], ['v', 120, 730, 1090, 2440, 1], ['v', 100, 390, 1990, 2550, 0.8],
+           ['v', 50, 220, 1100, 2100, 0.35]],
+  six:    [['f', 100, 0, 5500, 2000, 0.45], ['v', 110, 390, 1990, 2550, 1], ['-', 40],
+           ['b', 20, 0, 1800, 1000, 0.4], ['f', 90, 0, 5500, 2000, 0.35]],
+  seven:  [['f', 90, 0, 5500, 2000, 0.45], ['v', 100, 530, 1840, 2480, 1], ['v', 50, 220, 1100, 2100, 0.4],
+           ['v', 60, 500, 1500, 2500, 0.7], ['n', 90, 280, 1700, 2600, 0.45]],
+  eight:  [['v', 110, 480, 1800, 2500, 1], ['v', 90, 390, 1990, 2550, 0.8], ['-', 30], ['b', 25, 0, 4000, 2000, 0.35]],
+  nine:   [['n', 70, 280, 1700, 2600, 0.5], ['v', 120, 730, 1090, 2440, 1], ['v', 90, 390, 1990, 2550, 0.8],
+           ['n', 100, 280, 1700, 2600, 0.45]],
+  ten:    [['b', 15, 0, 3500, 2000, 0.5], ['h', 40, 530, 1840, 2480, 0.25], ['v', 140, 530, 1840, 2480, 1],
+           ['n', 100, 280, 1700, 2600, 0.45]],
+  eleven: [['v', 60, 390, 1990, 2550, 0.8], ['v', 50, 360, 1000, 2400, 0.6], ['v', 90, 530, 1840, 2480, 1],
+           ['v', 45, 220, 1100, 2100, 0.4], ['v', 50, 500, 1500, 2500, 0.7], ['n', 80, 280, 1700, 2600, 0.45]],
+  twelve: [['b', 15, 0, 3500, 2000, 0.5], ['v', 50, 300, 610, 2200, 0.6], ['v', 110, 530, 1840, 2480, 1],
+           ['v', 60, 360, 1000, 2400, 0.6], ['v', 60, 220, 1100, 2100, 0.35]],
+  and:    [['v', 130, 660, 1720, 2410, 1], ['n', 80, 280, 1700, 2600, 0.45], ['b', 15, 0, 3000, 2000, 0.2]],
+};
+
+const FORMANT_BANDWIDTHS = [80, 100, 150];
+const VOICE_SAMPLE_RATE  = 22050; // plenty for speech, and half the work of 44.1 kHz
+
+const COEFF_BLOCK = 32; // samples between filter coefficient updates
+
+// Two-pole resonator (Klatt). tune() may be called again at any point to
+// move it; the filter state carries over.
+function makeResonator(sampleRate) {
+  let a = 1, b = 0, c = 0, y1 = 0, y2 = 0;
+  const filter = (x) => {
+    const y = a * x + b * y1 + c * y2;
+    y2 = y1;
+    y1 = y;
+    return y;
+  };
+  filter.tune = (freq, bandwidth) => {
+    c = -Math.exp(-2 * Math.PI * bandwidth / sampleRate);
+    b = 2 * Math.exp(-Math.PI * bandwidth / sampleRate) * Math.cos(2 * Math.PI * freq / sampleRate);
+    a = 1 - b - c;
+  };
+  return filter;
+}
+
+function normalise(data, peak) {
+  let max = 0;
+  for (let i = 0; i < data.length; i++) max = Math.max(max, Math.abs(data[i]));
+  if (max > 0) for (let i = 0; i < data.length; i++) data[i] *= peak / max;
+}
+
+/**
+ * Render one word's segments to samples. Returns { data, lead } where
+ * `lead` is the time in seconds before the voiced part starts.
+ */
+function synthesiseWord(segments, sampleRate) {
+  const totalMs = segments.reduce((sum, segment) => sum + segment[1], 0);
+  const length  = Math.ceil((totalMs + 30) / 1000 * sampleRate); // room for the tail to ring out
+  const voiced  = new Float32Array(length);
+  const hiss    = new Float32Array(length);
+
+  // Seeded noise so every render of a word is identical
+  let seed = 22222;
+  const noise = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x3fffffff - 1;
+  };
+
+  const glottis  = makeResonator(sampleRate);
+  const formants = [0, 1, 2].map(() => makeResonator(sampleRate));
+  const band     = makeResonator(sampleRate);
+  glottis.tune(0, 100);
+  const smooth   = 1 - Math.exp(-1 / (0.008 * sampleRate)); // ~8 ms level changes
+
+  let current    = (segments.find(s => s[0] === 'v' || s[0] === 'n') || [0, 0, 500, 1500, 2500]).slice(2, 5);
+  let voiceLevel = 0;
+  let hissLevel  = 0;
+  let phase      = 0;
+  let previous   = 0;
+  let i          = 0;
+  let lead       = null;
+
+  segments.forEach(([kind, ms, f1, f2, f3, level = 0]) => {
+    const count  = Math.round(ms / 1000 * sampleRate);
+    const from   = current;
+    const target = kind === 'v' || kind === 'n' || kind === 'h' ? [f1, f2, f3] : from;
+    const isVoiced = kind === 'v' || kind === 'n';
+    if (isVoiced && lead === null) lead = i / sampleRate;
+    if (kind === 'f' || kind === 'b') band.tune(f2, f3);
+
+    for (let k = 0; k < count && i < length; k++, i++) {
+      // Glide into the new targets over the first 40% of the segment
+      if (k % COEFF_BLOCK === 0) {
+        const glide = Math.min(1, k / (count * 0.4));
+        current = from.map((f, j) => f + (target[j] - f) * glide);
+        formants.forEach((formant, j) => formant.tune(current[j], FORMANT_BANDWIDTHS[j]));
+      }
+
+      voiceLevel += ((isVoiced ? level : 0) - voiceLevel) * smooth;
+      const hissTarget = kind === 'b' ? level * (1 - k / count) : kind === 'f' || kind === 'h' ? level : 0;
+      hissLevel += (hissTarget - hissLevel) * smooth;
+
+      // Pitch falls from 130 to 100 Hz across the word, like a spoken count
+      phase += (130 - 30 * i / length) / sampleRate;
+      const pulse = phase >= 1 ? 1 : 0;
+      if (pulse) phase -= 1;
+
+      let x = glottis(pulse) * voiceLevel;
+      if (kind === 'h') x += noise() * hissLevel * 0.05;
+      x = formants[2](formants[1](formants[0](x)));
+      voiced[i] = x - previous; // lip radiation: a gentle high-pass
+      previous  = x;
+
+      if (kind === 'f' || kind === 'b') hiss[i] = band(noise() * hissLevel);
+    }
+  });
+
+  // Vowels and consonants come out of very different filters — level them
+  // separately, then mix with the consonants well below the vowel
+  normalise(voiced, 1);
+  normalise(hiss, 0.35);
+  const data = new Float32Array(length);
+  for (let j = 0; j < length; j++) data[j] = voiced[j] + hiss[j];
+  normalise(data, 0.9);
+  // 5 ms fades so nothing clicks
+  const fade = Math.round(0.005 * sampleRate);
+  for (let j = 0; j < fade; j++) {
+    data[j] *= j / fade;
+    data[length - 1 - j] *= j / fade;
+  }
+  return { data, lead: lead || 0 };
+}
+
+// Rendered words per AudioContext: word → { buffer, lead }
+const voiceBuffers = new WeakMap();
+
+function getVoiceBuffers(ctx) {
+  let words = voiceBuffers.get(ctx);
+  if (!words) {
+    words = new Map();
+    Object.entries(VOICE_WORDS).forEach(([word, segments]) => {
+      const { data, lead } = synthesiseWord(segments, VOICE_SAMPLE_RATE);
+      const buffer = ctx.createBuffer(1, data.length, VOICE_SAMPLE_RATE);
+      buffer.getChannelData(0).set(data);
+      words.set(word, { buffer, lead });
+    });
+    voiceBuffers.set(ctx, words);
+  }
+  return words;
+}
+
+// The word for beat `beat` (0-based) or null past "twelve"
+function voiceNumber(beat) {
+  return VOICE_NUMBERS[beat] || null;
+}
+
+function speak(ctx, out, word, time, gain) {
+  const entry = getVoiceBuffers(ctx).get(word);
+  if (!entry) return;
+  const src = ctx.createBufferSource();
+  src.buffer = entry.buffer;
+  const amp = ctx.createGain();
+  amp.gain.value = gain;
+  src.connect(amp).connect(out);
+
+  // Start early by the consonant so the vowel lands on the beat; if that's
+  // already past (the very first beat), skip into the word instead
+  const start = time - entry.lead;
+  if (start >= ctx.currentTime) src.start(start);
+  else src.start(ctx.currentTime, ctx.currentTime - start);
+}
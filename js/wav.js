@@ -0,0 +1,53 @@
+/**
+ * wav.js — Hand-rolled RIFF/WAVE writer for PCM audio.
+ *
+ * encodeWav(channels, sampleRate, bitDepth) takes one Float32Array per
+ * channel (samples in -1…1) and returns an ArrayBuffer holding a complete
+ * 16- or 24-bit PCM WAV file.
+ */
+
+function encodeWav(channels, sampleRate, bitDepth = 16) {
+  const numChannels    = channels.length;
+  const numFrames      = channels[0].length;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign     = numChannels * bytesPerSample;
+  const dataSize       = numFrames * blockAlign;
+
+  const buf  = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buf);
+  // RIFF chunk
+  view.setUint32(0,  0x52494646,              false); // "RIFF"
+  view.setUint32(4,  36 + dataSize,           true);  // chunk size = file size - 8
+  view.setUint32(8,  0x57415645,              false); // "WAVE"
+  // fmt sub-chunk
+  view.setUint32(12, 0x666d7420,              false); // "fmt "
+  view.setUint32(16, 16,                      true);  // sub-chunk size
+  view.setUint16(20, 1,                       true);  // PCM
+  view.setUint16(22, numChannels,             true);  // channels
+  view.setUint32(24, sampleRate,              true);  // sample rate
+  view.setUint32(28, sampleRate * blockAlign, true);  // byte rate
+  view.setUint16(32, blockAlign,              true);  // block align
+  view.setUint16(34, bitDepth,                true);  // bits per sample
+  // data sub-chunk
+  view.setUint32(36, 0x64617461,              false); // "data"
+  view.setUint32(40, dataSize,                true);  // data size
+
+  // Interleaved samples, clipped to full scale
+  const max = Math.pow(2, bitDepth - 1) - 1;
+  let offset = 44;
+  for (let i = 0; i < numFrames; i++) {
+    for (let ch = 0; ch < numChannels; ch++) {
+      const value = Math.round(Math.max(-1, Math.min(1, channels[ch][i])) * max);
+      if (bitDepth === 16) {
+        view.setInt16(offset, value, true);
+      } else {
+        // 24-bit: three little-endian bytes
+        view.setUint8(offset,     value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return buf;
+}
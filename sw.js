@@ -0,0 +1,80 @@
+/**
+ * sw.js — Service worker: keeps the whole app cached for offline use.
+ *
+ * Everything the page loads is cached on install. Requests are answered
+ * from the cache straight away and refreshed from the network behind the
+ * scenes, so the app opens instantly with no connection and picks up
+ * changes on the next visit. Links with a query string (shared setups, see
+ * link.js) are served the cached index.html.
+ *
+ * Bump CACHE_NAME when files are added or removed below.
+ */
+
+const CACHE_NAME = 'metronome-v3';
+
+const APP_FILES = [
+  './',
+  'index.html',
+  'css/style.css',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-maskable.svg',
+  'js/db.js',
+  'js/download.js',
+  'js/meter.js',
+  'js/sounds.js',
+  'js/voice.js',
+  'js/wav.js',
+  'js/metronome.js',
+  'js/link.js',
+  'js/ui.js',
+  'js/sound-panel.js',
+  'js/setlist.js',
+  'js/trainer.js',
+  'js/gap.js',
+  'js/layers.js',
+  'js/presets.js',
+  'js/count-in.js',
+  'js/pendulum.js',
+  'js/calibration.js',
+  'js/tap-game.js',
+  'js/practice-log.js',
+  'js/onsets.js',
+  'js/listen.js',
+  'js/midi.js',
+  'js/midi-panel.js',
+  'js/bindings.js',
+  'js/export.js',
+  'js/mobile.js',
+  'js/main.js',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_FILES)).then(() => self.skipWaiting()));
+});
+
+// Drop the caches of older versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Every page load is index.html, whatever its query string
+  const key = request.mode === 'navigate' ? 'index.html' : request;
+  event.respondWith(caches.open(CACHE_NAME).then(async (cache) => {
+    const cached = await cache.match(key);
+    const fresh  = fetch(request).then((response) => {
+      if (response.ok) cache.put(key, response.clone());
+      return response;
+    });
+    if (!cached) return fresh;
+    // Answer from the cache; the refresh still finishes, for next time
+    event.waitUntil(fresh.then(() => {}, () => {}));
+    return cached;
+  }));
+});